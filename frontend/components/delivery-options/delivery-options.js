@@ -2,13 +2,17 @@
  * DeliveryOptions — Export step with delivery mode selection.
  * Provides radio cards for choosing download-as-zip, inline instructions,
  * or copy-paste prompt mode. Handles the primary action (download/copy)
- * and navigation to GitHub commit flow.
+ * and navigation to GitHub commit flow. Existing versions of the generated
+ * files can be attached so downloads merge into them. Both actions are
+ * blocked while any option value fails its validation rules.
  */
 import { store } from '../../js/store.js';
 import { eventBus, TOAST_SHOW, NAVIGATE } from '../../js/event-bus.js';
-import { generate, generateInlineMode, generateCopyPasteMode } from '../../js/generator.js';
-import { downloadZip } from '../../js/zip-builder.js';
+import { generate, generateFiles, generateInlineMode, generateCopyPasteMode, getPrimaryFilename, assembleTemplateFiles } from '../../js/generator.js';
+import { downloadZip, findUnresolvedVariables } from '../../js/zip-builder.js';
+import { mergeManagedRegion } from '../../js/managed-region.js';
 import { isAuthenticated } from '../../js/github-auth.js';
+import { findInvalidOptions } from '../../js/option-validation.js';
 
 export class DeliveryOptions extends HTMLElement {
   constructor() {
@@ -77,6 +81,21 @@ export class DeliveryOptions extends HTMLElement {
 
     var unsubTemplates = store.subscribe('templateFiles', this._renderSummary.bind(this));
     this._unsubscribers.push(unsubTemplates);
+
+    var unsubTargets = store.subscribe('outputTargets', this._renderSummary.bind(this));
+    this._unsubscribers.push(unsubTargets);
+
+    var unsubCustom = store.subscribe('customFilename', this._renderSummary.bind(this));
+    this._unsubscribers.push(unsubCustom);
+
+    var unsubExisting = store.subscribe('existingFiles', this._renderExisting.bind(this));
+    this._unsubscribers.push(unsubExisting);
+
+    var unsubOptions = store.subscribe('options', this._renderSummary.bind(this));
+    this._unsubscribers.push(unsubOptions);
+
+    var unsubVariables = store.subscribe('projectVariables', this._renderSummary.bind(this));
+    this._unsubscribers.push(unsubVariables);
   }
 
   /**
@@ -91,6 +110,7 @@ export class DeliveryOptions extends HTMLElement {
     }
 
     this._updatePrimaryLabel(mode);
+    this._renderExisting();
   }
 
   /**
@@ -127,6 +147,10 @@ export class DeliveryOptions extends HTMLElement {
   async _onPrimaryAction() {
     var mode = store.get('deliveryMode') || 'download';
 
+    if (!this._checkValid()) {
+      return;
+    }
+
     try {
       if (mode === 'download') {
         generate();
@@ -134,7 +158,8 @@ export class DeliveryOptions extends HTMLElement {
         eventBus.emit(TOAST_SHOW, { message: 'Zip downloaded successfully.', type: 'success' });
 
       } else if (mode === 'inline') {
-        var inlineContent = generateInlineMode();
+        var existingFiles = store.get('existingFiles') || {};
+        var inlineContent = mergeManagedRegion(existingFiles[getPrimaryFilename()] || null, generateInlineMode());
         this._downloadTextFile(inlineContent);
         eventBus.emit(TOAST_SHOW, { message: 'File downloaded successfully.', type: 'success' });
 
@@ -153,7 +178,8 @@ export class DeliveryOptions extends HTMLElement {
    * Triggers a text file download via a temporary link.
    */
   _downloadTextFile(content) {
-    var filename = store.get('filename') || 'AGENTS.md';
+    // Inline mode is always a single markdown file, even for multi-file targets
+    var filename = getPrimaryFilename();
     var blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
     var url = URL.createObjectURL(blob);
     var link = document.createElement('a');
@@ -188,6 +214,9 @@ export class DeliveryOptions extends HTMLElement {
    * Navigates to the GitHub commit flow.
    */
   _onGithubAction() {
+    if (!this._checkValid()) {
+      return;
+    }
     generate();
     eventBus.emit(NAVIGATE, '/github-commit');
   }
@@ -213,8 +242,8 @@ export class DeliveryOptions extends HTMLElement {
 
     var selectedTechIds = store.get('selectedTechIds') || [];
     var technologies = store.get('technologies') || [];
-    var templateFiles = store.get('templateFiles') || [];
-    var filename = store.get('filename') || 'AGENTS.md';
+    var templateFiles = assembleTemplateFiles(store.get('templateFiles') || [], store.get('options') || {}, store.get('projectVariables') || {}, store.get('selectedTechIds') || []);
+    var outputFiles = generateFiles();
 
     // Clear existing list items
     while (summaryList.firstChild) {
@@ -226,6 +255,8 @@ export class DeliveryOptions extends HTMLElement {
         summaryEmpty.removeAttribute('hidden');
       }
       summaryList.setAttribute('hidden', '');
+      this._renderUnresolved();
+      this._renderInvalid();
       return;
     }
 
@@ -234,16 +265,18 @@ export class DeliveryOptions extends HTMLElement {
     }
     summaryList.removeAttribute('hidden');
 
-    // Add the generated markdown file entry
-    var mdItem = document.createElement('li');
-    mdItem.className = 'summary-item';
-    var mdIcon = document.createElement('span');
-    mdIcon.className = 'summary-item-icon';
-    mdIcon.textContent = '>';
-    mdItem.appendChild(mdIcon);
-    var mdText = document.createTextNode(filename);
-    mdItem.appendChild(mdText);
-    summaryList.appendChild(mdItem);
+    // Add the generated output file entries
+    for (var o = 0; o < outputFiles.length; o++) {
+      var mdItem = document.createElement('li');
+      mdItem.className = 'summary-item';
+      var mdIcon = document.createElement('span');
+      mdIcon.className = 'summary-item-icon';
+      mdIcon.textContent = '>';
+      mdItem.appendChild(mdIcon);
+      var mdText = document.createTextNode(outputFiles[o].path);
+      mdItem.appendChild(mdText);
+      summaryList.appendChild(mdItem);
+    }
 
     // Add template file entries
     for (var i = 0; i < templateFiles.length; i++) {
@@ -253,8 +286,15 @@ export class DeliveryOptions extends HTMLElement {
       icon.className = 'summary-item-icon';
       icon.textContent = '>';
       item.appendChild(icon);
-      var text = document.createTextNode(templateFiles[i].outputPath || templateFiles[i].sourcePath || '');
+      var text = document.createTextNode(templateFiles[i].path);
       item.appendChild(text);
+      if (templateFiles[i].warning) {
+        var note = document.createElement('span');
+        note.className = 'summary-item-note';
+        note.textContent = '(could not merge, appended)';
+        note.title = templateFiles[i].warning;
+        item.appendChild(note);
+      }
       summaryList.appendChild(item);
     }
 
@@ -263,12 +303,191 @@ export class DeliveryOptions extends HTMLElement {
       return selectedTechIds.indexOf(t.id) !== -1;
     });
     var techNames = selectedTechs.map(function(t) { return t.name; }).join(', ');
-    var totalFiles = 1 + templateFiles.length;
+    var totalFiles = outputFiles.length + templateFiles.length;
 
     var countEl = document.createElement('li');
     countEl.className = 'summary-count';
     countEl.textContent = totalFiles + (totalFiles === 1 ? ' file' : ' files') + ' — ' + techNames;
     summaryList.appendChild(countEl);
+
+    this._renderExisting();
+    this._renderUnresolved();
+    this._renderInvalid();
+  }
+
+  /**
+   * Lists option values that fail their validation rules and disables the
+   * download and GitHub buttons until they are fixed.
+   */
+  _renderInvalid() {
+    var box = this.shadowRoot.querySelector('[data-invalid-box]');
+    var list = this.shadowRoot.querySelector('[data-invalid-list]');
+    var buttons = this.shadowRoot.querySelectorAll('[data-primary-action], [data-github-action]');
+
+    var results = findInvalidOptions();
+    for (var b = 0; b < buttons.length; b++) {
+      if (results.length > 0) {
+        buttons[b].setAttribute('disabled', '');
+      } else {
+        buttons[b].removeAttribute('disabled');
+      }
+    }
+
+    if (!box || !list) {
+      return;
+    }
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    if (results.length === 0) {
+      box.setAttribute('hidden', '');
+      return;
+    }
+
+    for (var i = 0; i < results.length; i++) {
+      var item = document.createElement('li');
+      item.className = 'invalid-item';
+      var label = document.createElement('span');
+      label.className = 'invalid-label';
+      label.textContent = (results[i].path ? results[i].path + ' ' : '') + results[i].label;
+      item.appendChild(label);
+      item.appendChild(document.createTextNode(results[i].message));
+      list.appendChild(item);
+    }
+    box.removeAttribute('hidden');
+  }
+
+  /**
+   * Whether every option value is valid. Shows an error toast otherwise.
+   * @returns {boolean}
+   */
+  _checkValid() {
+    if (findInvalidOptions().length === 0) {
+      return true;
+    }
+    eventBus.emit(TOAST_SHOW, { message: 'Fix the invalid options before exporting.', type: 'error' });
+    return false;
+  }
+
+  /**
+   * Lists placeholders that have no value and would be shipped
+   * as written, per markdown or template file. Hidden when every
+   * placeholder resolves.
+   */
+  _renderUnresolved() {
+    var box = this.shadowRoot.querySelector('[data-unresolved-box]');
+    var list = this.shadowRoot.querySelector('[data-unresolved-list]');
+
+    if (!box || !list) {
+      return;
+    }
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    var results = findUnresolvedVariables();
+    if (results.length === 0) {
+      box.setAttribute('hidden', '');
+      return;
+    }
+
+    for (var i = 0; i < results.length; i++) {
+      var item = document.createElement('li');
+      item.className = 'unresolved-item';
+      var path = document.createElement('span');
+      path.className = 'unresolved-path';
+      path.textContent = results[i].path;
+      item.appendChild(path);
+      item.appendChild(document.createTextNode(results[i].unresolved.join(', ')));
+      list.appendChild(item);
+    }
+    box.removeAttribute('hidden');
+  }
+
+  /**
+   * Lists the generated markdown files the current mode downloads, each
+   * with a picker for attaching the version already in the user's project.
+   * Hidden in copy-paste mode, which produces no files.
+   */
+  _renderExisting() {
+    var section = this.shadowRoot.querySelector('[data-existing-section]');
+    var list = this.shadowRoot.querySelector('[data-existing-list]');
+    var rowTemplate = this.shadowRoot.querySelector('[data-template-existing-file]');
+
+    if (!section || !list || !rowTemplate) {
+      return;
+    }
+
+    var mode = store.get('deliveryMode') || 'download';
+    var selectedTechIds = store.get('selectedTechIds') || [];
+
+    if (mode === 'copypaste' || selectedTechIds.length === 0) {
+      section.setAttribute('hidden', '');
+      return;
+    }
+    section.removeAttribute('hidden');
+
+    var paths = mode === 'inline'
+      ? [getPrimaryFilename()]
+      : generateFiles().map(function(file) { return file.path; });
+    var existingFiles = store.get('existingFiles') || {};
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    for (var i = 0; i < paths.length; i++) {
+      var path = paths[i];
+      var row = rowTemplate.content.cloneNode(true);
+      var attached = Object.prototype.hasOwnProperty.call(existingFiles, path);
+
+      row.querySelector('[data-existing-path]').textContent = path;
+      row.querySelector('[data-existing-status]').textContent = attached ? 'Will merge' : '';
+      row.querySelector('[data-existing-attach-label]').textContent = attached ? 'Replace' : 'Attach';
+      row.querySelector('[data-existing-input]').setAttribute('aria-label', 'Existing ' + path);
+
+      var input = row.querySelector('[data-existing-input]');
+      input.addEventListener('change', this._onExistingChosen.bind(this, path));
+
+      var clearBtn = row.querySelector('[data-existing-clear]');
+      if (attached) {
+        clearBtn.removeAttribute('hidden');
+      }
+      clearBtn.addEventListener('click', this._onExistingCleared.bind(this, path));
+
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * Stores the chosen file as the existing version of a generated path.
+   */
+  async _onExistingChosen(path, event) {
+    var file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    try {
+      var content = await file.text();
+      var existingFiles = Object.assign({}, store.get('existingFiles'));
+      existingFiles[path] = content;
+      store.set('existingFiles', existingFiles);
+    } catch (err) {
+      eventBus.emit(TOAST_SHOW, { message: 'Could not read ' + file.name + '.', type: 'error' });
+    }
+  }
+
+  /**
+   * Forgets the existing version of a generated path.
+   */
+  _onExistingCleared(path) {
+    var existingFiles = Object.assign({}, store.get('existingFiles'));
+    delete existingFiles[path];
+    store.set('existingFiles', existingFiles);
   }
 }
 
@@ -12,7 +12,8 @@ import {
   NAVIGATE,
   CONTRIBUTION_SUBMIT
 } from '../../js/event-bus.js';
-import { generate } from '../../js/generator.js';
+import { generate, describeSelectedTargets, filterFragments, getGroupName, renderFragment } from '../../js/generator.js';
+import { formatTokens } from '../../js/token-budget.js';
 
 export class FilePreview extends HTMLElement {
   constructor() {
@@ -74,18 +75,29 @@ export class FilePreview extends HTMLElement {
     var unsubFragments = store.subscribe('fragments', this._generateAndRender.bind(this));
     this._unsubscribers.push(unsubFragments);
 
-    // Subscribe to filename changes
-    var unsubFilename = store.subscribe('filename', this._updateFilenameDisplay.bind(this));
-    this._unsubscribers.push(unsubFilename);
+    // Subscribe to output target changes
+    var unsubTargets = store.subscribe('outputTargets', this._updateFilenameDisplay.bind(this));
+    this._unsubscribers.push(unsubTargets);
+
+    var unsubCustom = store.subscribe('customFilename', this._updateFilenameDisplay.bind(this));
+    this._unsubscribers.push(unsubCustom);
+
+    // Subscribe to token budget changes
+    var unsubBudget = store.subscribe('tokenBudget', this._generateAndRender.bind(this));
+    this._unsubscribers.push(unsubBudget);
+
+    // Subscribe to table of contents toggle
+    var unsubToc = store.subscribe('includeToc', this._generateAndRender.bind(this));
+    this._unsubscribers.push(unsubToc);
   }
 
   /**
-   * Updates the filename display.
+   * Updates the filename display with the ticked output targets.
    */
   _updateFilenameDisplay() {
     var el = this.shadowRoot.querySelector('[data-filename-display]');
     if (el) {
-      el.textContent = store.get('filename') || 'AGENTS.md';
+      el.textContent = describeSelectedTargets();
     }
   }
 
@@ -116,6 +128,9 @@ export class FilePreview extends HTMLElement {
     var localEdits = store.get('localEdits') || {};
     var technologies = store.get('technologies') || [];
     var options = store.get('options') || {};
+    var projectVariables = store.get('projectVariables') || {};
+    var tokenReport = store.get('tokenReport');
+    var duplicateReport = store.get('duplicateReport') || [];
     var fragmentTpl = this.shadowRoot.querySelector('[data-template-fragment-block]');
     var groupTpl = this.shadowRoot.querySelector('[data-template-tech-group]');
 
@@ -142,8 +157,7 @@ export class FilePreview extends HTMLElement {
     var isFirstGroup = true;
     for (var g = 0; g < groups.length; g++) {
       var group = groups[g];
-      var tech = technologies.find(function (t) { return t.id === group.techId; });
-      var techName = tech ? tech.name : group.techId;
+      var techName = getGroupName(group.techId, technologies);
 
       var groupClone = groupTpl.content.cloneNode(true);
       var groupEl = groupClone.querySelector('[data-tech-group]');
@@ -156,8 +170,13 @@ export class FilePreview extends HTMLElement {
       if (groupNameEl) {
         groupNameEl.textContent = techName;
       }
+      // The generator groups fragments without a technology under '_general'
+      var groupTokens = this._findGroupTokens(tokenReport, group.techId === 'unknown' ? '_general' : group.techId);
       if (groupCountEl) {
         groupCountEl.textContent = group.fragments.length + (group.fragments.length === 1 ? ' fragment' : ' fragments');
+        if (groupTokens) {
+          groupCountEl.textContent += ' · ≈ ' + formatTokens(groupTokens.tokens) + ' tokens';
+        }
       }
       if (groupArrow) {
         groupArrow.textContent = '\u25BC';
@@ -192,14 +211,20 @@ export class FilePreview extends HTMLElement {
         var saveBtn = clone.querySelector('[data-save-btn]');
         var cancelBtn = clone.querySelector('[data-cancel-btn]');
         var editedBadge = clone.querySelector('[data-edited-badge]');
+        var tokensEl = clone.querySelector('[data-fragment-tokens]');
+        var cutBadge = clone.querySelector('[data-cut-badge]');
+        var dupBadge = clone.querySelector('[data-dup-badge]');
+        var dupList = clone.querySelector('[data-duplicate-list]');
 
         var fragmentId = fragment.id;
         var category = (fragment.metadata && fragment.metadata.category) || '';
 
-        // Determine content: use local edit if exists, otherwise original
+        // Determine content: use local edit if exists, otherwise the
+        // original rendered for the current options, which edits start from
+        var original = renderFragment(fragment, fragment.content, options, projectVariables);
         var content = localEdits[fragmentId] !== undefined
           ? localEdits[fragmentId]
-          : fragment.content;
+          : original;
         var isEdited = localEdits[fragmentId] !== undefined;
 
         if (block) {
@@ -221,6 +246,23 @@ export class FilePreview extends HTMLElement {
           editedBadge.removeAttribute('hidden');
         }
 
+        var fragmentTokens = this._findFragmentTokens(groupTokens, fragmentId);
+        if (tokensEl && fragmentTokens) {
+          tokensEl.textContent = '≈ ' + formatTokens(fragmentTokens.tokens) + ' tokens';
+        }
+        if (cutBadge && fragmentTokens && fragmentTokens.cut) {
+          cutBadge.textContent = fragmentTokens.cut.action === 'dropped' ? 'Dropped (over budget)' : 'Compacted';
+          cutBadge.removeAttribute('hidden');
+          if (block) {
+            block.classList.add(fragmentTokens.cut.action);
+          }
+        }
+
+        var duplicates = duplicateReport.filter(function (d) { return d.id === fragmentId; });
+        if (duplicates.length > 0) {
+          this._renderDuplicates(dupBadge, dupList, duplicates);
+        }
+
         // Bind edit button
         if (editBtn) {
           editBtn.addEventListener('click',
@@ -231,7 +273,7 @@ export class FilePreview extends HTMLElement {
         // Bind save button
         if (saveBtn) {
           saveBtn.addEventListener('click',
-            this._handleSaveClick.bind(this, fragmentId, block, displayArea, editArea, textarea, codeEl, editedBadge, fragment)
+            this._handleSaveClick.bind(this, fragmentId, block, displayArea, editArea, textarea, codeEl, editedBadge, original)
           );
         }
 
@@ -260,34 +302,61 @@ export class FilePreview extends HTMLElement {
   }
 
   /**
-   * Filters fragments based on option dependencies (mirrors generator logic).
+   * Shows the bullets removed from a fragment as duplicates, each with the
+   * fragment whose copy was kept.
    */
-  _filterFragments(fragments, options) {
-    return fragments.filter(function (fragment) {
-      var deps = fragment.metadata && fragment.metadata.optionDependencies;
-      if (!deps || typeof deps !== 'object') {
-        return true;
-      }
+  _renderDuplicates(badge, list, duplicates) {
+    if (badge) {
+      badge.textContent = duplicates.length === 1 ? '1 duplicate removed' : duplicates.length + ' duplicates removed';
+      badge.removeAttribute('hidden');
+    }
+    if (!list) {
+      return;
+    }
 
-      var keys = Object.keys(deps);
-      for (var k = 0; k < keys.length; k++) {
-        var optionId = keys[k];
-        var requiredValue = deps[optionId];
-        var techId = fragment.metadata.technology;
-        var techOptions = options[techId] || {};
-        var currentValue = techOptions[optionId];
-
-        if (Array.isArray(requiredValue)) {
-          if (requiredValue.indexOf(currentValue) === -1) {
-            return false;
-          }
-        } else if (currentValue !== requiredValue) {
-          return false;
-        }
-      }
+    for (var i = 0; i < duplicates.length; i++) {
+      var item = document.createElement('li');
+      item.className = 'duplicate-item';
 
-      return true;
-    });
+      var line = document.createElement('span');
+      line.className = 'duplicate-line';
+      line.textContent = duplicates[i].line;
+
+      var winner = document.createElement('span');
+      winner.className = 'duplicate-winner';
+      winner.textContent = duplicates[i].keptIn;
+
+      item.append(line, document.createTextNode(' — kept in '), winner);
+      list.appendChild(item);
+    }
+    list.removeAttribute('hidden');
+  }
+
+  /**
+   * Finds a technology group's entry in the token report.
+   */
+  _findGroupTokens(report, techId) {
+    if (!report) {
+      return null;
+    }
+    return report.groups.find(function (g) { return g.techId === techId; }) || null;
+  }
+
+  /**
+   * Finds a fragment's entry within a token report group.
+   */
+  _findFragmentTokens(groupTokens, fragmentId) {
+    if (!groupTokens) {
+      return null;
+    }
+    return groupTokens.fragments.find(function (f) { return f.id === fragmentId; }) || null;
+  }
+
+  /**
+   * Filters fragments based on option dependencies, by the generator's rules.
+   */
+  _filterFragments(fragments, options) {
+    return filterFragments(fragments, options, store.get('selectedTechIds') || []);
   }
 
   /**
@@ -309,12 +378,12 @@ export class FilePreview extends HTMLElement {
   /**
    * Handles click on the Save button after editing.
    */
-  _handleSaveClick(fragmentId, block, displayArea, editArea, textarea, codeEl, editedBadge, fragment) {
+  _handleSaveClick(fragmentId, block, displayArea, editArea, textarea, codeEl, editedBadge, original) {
     var newContent = textarea ? textarea.value : '';
     var localEdits = store.get('localEdits') || {};
 
-    // Only mark as edited if content differs from original
-    if (newContent !== fragment.content) {
+    // Only mark as edited if content differs from the rendered original
+    if (newContent !== original) {
       localEdits[fragmentId] = newContent;
       if (block) {
         block.classList.add('edited');
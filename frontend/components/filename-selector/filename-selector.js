@@ -1,12 +1,16 @@
 /**
- * FilenameSelector — Dropdown for choosing the output filename.
- * Offers AGENTS.md, CLAUDE.md, COPILOT.md, or a custom filename.
- * Stores the selected filename in the reactive store.
+ * FilenameSelector — Multi-select picker for output targets.
+ * Offers AGENTS.md, CLAUDE.md, GitHub Copilot, Cursor, Windsurf and Cline
+ * rules, or a custom filename. Several targets can be ticked at once; the
+ * selection is stored as a list of target IDs in the reactive store.
+ * An invalid custom filename is shown inline and blocks export
+ * (see option-validation.js).
  */
 import { store } from '../../js/store.js';
+import { OUTPUT_TARGETS, describeSelectedTargets } from '../../js/generator.js';
+import { validateCustomFilename } from '../../js/option-validation.js';
 
-const PRESET_VALUES = ['AGENTS.md', 'CLAUDE.md', 'COPILOT.md'];
-const CUSTOM_SENTINEL = '__custom__';
+const CUSTOM_TARGET_ID = 'custom';
 
 export class FilenameSelector extends HTMLElement {
   constructor() {
@@ -29,6 +33,7 @@ export class FilenameSelector extends HTMLElement {
 
     this.shadowRoot.append(style, template.content.cloneNode(true));
 
+    this._renderOptions();
     this._bind();
     this._syncFromStore();
   }
@@ -40,86 +45,156 @@ export class FilenameSelector extends HTMLElement {
     this._unsubscribers = [];
   }
 
-  _bind() {
-    var select = this.shadowRoot.querySelector('[data-filename-select]');
-    var customInput = this.shadowRoot.querySelector('[data-custom-input]');
+  /**
+   * Renders one checkbox per registered output target.
+   */
+  _renderOptions() {
+    var list = this.shadowRoot.querySelector('[data-target-list]');
+    var tpl = this.shadowRoot.querySelector('[data-template-target-option]');
+
+    if (!list || !tpl) {
+      return;
+    }
 
-    if (select) {
-      select.addEventListener('change', this._onSelectChange.bind(this));
+    for (var i = 0; i < OUTPUT_TARGETS.length; i++) {
+      var target = OUTPUT_TARGETS[i];
+      var clone = tpl.content.cloneNode(true);
+      var checkbox = clone.querySelector('[data-target-checkbox]');
+      var label = clone.querySelector('[data-target-label]');
+
+      if (checkbox) {
+        checkbox.value = target.id;
+        checkbox.addEventListener('change', this._onTargetChange.bind(this));
+      }
+      if (label) {
+        label.textContent = target.label;
+      }
+
+      list.appendChild(clone);
     }
+  }
+
+  _bind() {
+    var customInput = this.shadowRoot.querySelector('[data-custom-input]');
 
     if (customInput) {
       customInput.addEventListener('input', this._onCustomInput.bind(this));
     }
 
-    var unsub = store.subscribe('filename', this._syncFromStore.bind(this));
+    var unsub = store.subscribe('outputTargets', this._syncFromStore.bind(this));
     this._unsubscribers.push(unsub);
+
+    var unsubCustom = store.subscribe('customFilename', this._syncSummary.bind(this));
+    this._unsubscribers.push(unsubCustom);
   }
 
   /**
-   * Syncs the UI to reflect the current store filename value.
+   * Syncs the checkboxes and custom input to the current store targets.
    */
   _syncFromStore() {
-    var select = this.shadowRoot.querySelector('[data-filename-select]');
+    var targetIds = store.get('outputTargets') || [];
+    var checkboxes = this.shadowRoot.querySelectorAll('[data-target-checkbox]');
     var customWrapper = this.shadowRoot.querySelector('[data-custom-wrapper]');
     var customInput = this.shadowRoot.querySelector('[data-custom-input]');
 
-    if (!select) {
-      return;
+    for (var i = 0; i < checkboxes.length; i++) {
+      checkboxes[i].checked = targetIds.indexOf(checkboxes[i].value) !== -1;
     }
 
-    var currentFilename = store.get('filename') || 'AGENTS.md';
-
-    if (PRESET_VALUES.indexOf(currentFilename) !== -1) {
-      select.value = currentFilename;
-      if (customWrapper) {
-        customWrapper.setAttribute('hidden', '');
-      }
-    } else {
-      select.value = CUSTOM_SENTINEL;
-      if (customWrapper) {
+    if (customWrapper) {
+      if (targetIds.indexOf(CUSTOM_TARGET_ID) !== -1) {
         customWrapper.removeAttribute('hidden');
-      }
-      if (customInput) {
-        customInput.value = currentFilename;
+      } else {
+        customWrapper.setAttribute('hidden', '');
       }
     }
+
+    if (customInput && customInput.value !== (store.get('customFilename') || '')) {
+      customInput.value = store.get('customFilename') || '';
+    }
+
+    this._syncSummary();
+    this._showCustomValidation();
   }
 
   /**
-   * Handles select dropdown change.
+   * Updates the collapsed summary label, e.g. "AGENTS.md + Cursor rules".
    */
-  _onSelectChange(event) {
-    var value = event.target.value;
-    var customWrapper = this.shadowRoot.querySelector('[data-custom-wrapper]');
-    var customInput = this.shadowRoot.querySelector('[data-custom-input]');
+  _syncSummary() {
+    var summary = this.shadowRoot.querySelector('[data-target-summary]');
+    if (summary) {
+      summary.textContent = describeSelectedTargets();
+    }
+  }
 
-    if (value === CUSTOM_SENTINEL) {
-      if (customWrapper) {
-        customWrapper.removeAttribute('hidden');
+  /**
+   * Handles a target checkbox change. At least one target stays ticked.
+   */
+  _onTargetChange(event) {
+    var targetIds = (store.get('outputTargets') || []).slice();
+    var targetId = event.target.value;
+    var index = targetIds.indexOf(targetId);
+
+    if (event.target.checked && index === -1) {
+      targetIds.push(targetId);
+    } else if (!event.target.checked && index !== -1) {
+      if (targetIds.length === 1) {
+        event.target.checked = true;
+        return;
       }
+      targetIds.splice(index, 1);
+    }
+
+    store.set('outputTargets', targetIds);
+
+    if (targetId === CUSTOM_TARGET_ID && event.target.checked) {
+      var customInput = this.shadowRoot.querySelector('[data-custom-input]');
       if (customInput) {
         customInput.focus();
-        var customValue = customInput.value.trim();
-        if (customValue) {
-          store.set('filename', customValue);
-        }
       }
-    } else {
-      if (customWrapper) {
-        customWrapper.setAttribute('hidden', '');
-      }
-      store.set('filename', value);
     }
   }
 
   /**
-   * Handles custom text input changes.
+   * Handles custom text input changes. Clearing the input unticks the
+   * custom target; any other value is stored and validated as typed.
    */
   _onCustomInput(event) {
     var value = event.target.value.trim();
-    if (value) {
-      store.set('filename', value);
+    store.set('customFilename', value);
+
+    if (!value) {
+      var targetIds = (store.get('outputTargets') || []).filter(function(id) {
+        return id !== CUSTOM_TARGET_ID;
+      });
+      store.set('outputTargets', targetIds.length > 0 ? targetIds : [OUTPUT_TARGETS[0].id]);
+      return;
+    }
+
+    this._showCustomValidation();
+  }
+
+  /**
+   * Shows or clears the inline error under the custom filename input.
+   * Only checked while the custom target is ticked.
+   */
+  _showCustomValidation() {
+    var customInput = this.shadowRoot.querySelector('[data-custom-input]');
+    var error = this.shadowRoot.querySelector('[data-custom-error]');
+    var ticked = (store.get('outputTargets') || []).indexOf(CUSTOM_TARGET_ID) !== -1;
+    var message = ticked ? validateCustomFilename(store.get('customFilename')) : null;
+
+    if (customInput) {
+      customInput.setAttribute('aria-invalid', String(Boolean(message)));
+    }
+    if (!error) {
+      return;
+    }
+    error.textContent = message || '';
+    if (message) {
+      error.removeAttribute('hidden');
+    } else {
+      error.setAttribute('hidden', '');
     }
   }
 }
@@ -6,6 +6,9 @@
 import { store } from '../../js/store.js';
 import { eventBus, AUTH_SUCCESS, AUTH_LOGOUT, TOAST_SHOW, NAVIGATE } from '../../js/event-bus.js';
 import { startAuth, isAuthenticated, getToken, fetchWithAuth, logout } from '../../js/github-auth.js';
+import { describeSelectedTargets } from '../../js/generator.js';
+import { gatherProjectFiles } from '../../js/zip-builder.js';
+import { findInvalidOptions } from '../../js/option-validation.js';
 
 export class GithubCommit extends HTMLElement {
   constructor() {
@@ -358,17 +361,13 @@ export class GithubCommit extends HTMLElement {
    */
   _populateDefaults() {
     var self = this;
-    var filename = store.get('filename') || 'AGENTS.md';
+    var filename = describeSelectedTargets();
     var timestamp = Date.now();
-
-    var filePathInput = self.shadowRoot.querySelector('[data-file-path]');
-    if (filePathInput && !filePathInput.value) {
-      filePathInput.value = filename;
-    }
+    var slug = filename.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 
     var branchInput = self.shadowRoot.querySelector('[data-branch-name]');
     if (branchInput && !branchInput.value) {
-      branchInput.value = 'agentsdotmd/add-' + filename.toLowerCase().replace(/\./g, '-') + '-' + timestamp;
+      branchInput.value = 'agentsdotmd/add-' + slug + '-' + timestamp;
     }
 
     var commitInput = self.shadowRoot.querySelector('[data-commit-message]');
@@ -383,7 +382,7 @@ export class GithubCommit extends HTMLElement {
 
     var prBodyInput = self.shadowRoot.querySelector('[data-pr-body]');
     if (prBodyInput && !prBodyInput.value) {
-      prBodyInput.value = 'This pull request adds a generated ' + filename + ' file with project conventions and best practices.\n\nGenerated by [AgentsDotMD](https://agentsdotmd.com).';
+      prBodyInput.value = 'This pull request adds a generated ' + filename + ' with project conventions and best practices.\n\nGenerated by [AgentsDotMD](https://agentsdotmd.com).';
     }
   }
 
@@ -399,28 +398,20 @@ export class GithubCommit extends HTMLElement {
   }
 
   /**
-   * Gathers the files to be committed (generated markdown + template files).
+   * Gathers the files to be committed (generated output files, template
+   * files and .gitignore for every project), prefixed with the chosen path.
    * @returns {Array<{ path: string, content: string }>}
    */
   _gatherFiles() {
     var filePath = (this.shadowRoot.querySelector('[data-file-path]') || {}).value || '';
-    var generatedMarkdown = store.get('generatedMarkdown') || '';
-    var templateFiles = store.get('templateFiles') || [];
-    var filename = store.get('filename') || 'AGENTS.md';
 
     // Normalize file path
     var basePath = filePath.replace(/^\/+/, '').replace(/\/+$/, '');
-    var mdPath = basePath ? basePath + '/' + filename : filename;
-
-    var files = [{ path: mdPath, content: generatedMarkdown }];
-
-    for (var i = 0; i < templateFiles.length; i++) {
-      var tmpl = templateFiles[i];
-      var tmplPath = basePath ? basePath + '/' + (tmpl.outputPath || tmpl.sourcePath) : (tmpl.outputPath || tmpl.sourcePath);
-      files.push({ path: tmplPath, content: tmpl.content || '' });
-    }
 
-    return files;
+    // The worker merges each file into the version on the branch
+    return gatherProjectFiles({ mergeExisting: false }).map(function(file) {
+      return { path: basePath ? basePath + '/' + file.path : file.path, content: file.content };
+    });
   }
 
   /**
@@ -434,6 +425,10 @@ export class GithubCommit extends HTMLElement {
       return;
     }
 
+    if (!self._checkValid()) {
+      return;
+    }
+
     var branchName = (self.shadowRoot.querySelector('[data-branch-name]') || {}).value || '';
     var commitMessage = (self.shadowRoot.querySelector('[data-commit-message]') || {}).value || '';
     var prTitle = (self.shadowRoot.querySelector('[data-pr-title]') || {}).value || '';
@@ -495,6 +490,10 @@ export class GithubCommit extends HTMLElement {
       return;
     }
 
+    if (!self._checkValid()) {
+      return;
+    }
+
     var files = self._gatherFiles();
 
     self._showStatus('Creating repository...');
@@ -530,6 +529,20 @@ export class GithubCommit extends HTMLElement {
     }
   }
 
+  /**
+   * Whether every option value passes its validation rules. Invalid values
+   * would produce broken files, so commits are refused until they are fixed.
+   * @returns {boolean}
+   */
+  _checkValid() {
+    var invalid = findInvalidOptions();
+    if (invalid.length === 0) {
+      return true;
+    }
+    eventBus.emit(TOAST_SHOW, { message: invalid[0].label + ': ' + invalid[0].message, type: 'error' });
+    return false;
+  }
+
   /**
    * Shows the status section with a message.
    * @param {string} message
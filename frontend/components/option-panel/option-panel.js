@@ -1,12 +1,19 @@
 /**
- * OptionPanel — Renders per-technology configuration options.
- * Reads selected technologies from the store, builds option controls
- * from manifest data (single-select, toggle, freeform), manages
- * dependency visibility, and triggers fragment loading on change.
+ * OptionPanel — Renders project variables and the configuration options of
+ * each selected technology and active combination. Reads selected
+ * technologies from the store, builds option controls from manifest data
+ * (single-select, multi-select, toggle, freeform), manages dependency
+ * visibility, warns about option names several technologies set
+ * differently and about violated constraints, and triggers fragment
+ * loading on change.
  */
 import { store } from '../../js/store.js';
 import { eventBus, OPTIONS_CHANGED, TOAST_SHOW } from '../../js/event-bus.js';
-import { loadFragments, loadCombinationFragments, loadTemplates } from '../../js/prompt-loader.js';
+import { loadSelection, getActiveCombinations } from '../../js/prompt-loader.js';
+import { PROJECT_VARIABLES } from '../../js/projects.js';
+import { findOptionConflicts } from '../../js/template-engine.js';
+import { dependenciesMet } from '../../js/generator.js';
+import { validateOptionValue, findConstraintViolations } from '../../js/option-validation.js';
 
 export class OptionPanel extends HTMLElement {
   constructor() {
@@ -59,7 +66,6 @@ export class OptionPanel extends HTMLElement {
     }
 
     const selectedIds = store.get('selectedTechIds') || [];
-    const technologies = store.get('technologies') || [];
 
     if (selectedIds.length === 0) {
       if (emptyState) {
@@ -72,12 +78,24 @@ export class OptionPanel extends HTMLElement {
       emptyState.setAttribute('hidden', '');
     }
 
-    // Initialize options with defaults if not already set
+    // Technologies first, then the combinations that apply to them, which
+    // carry options of their own
+    const sources = this._getOptionSources();
+
+    // Initialize options with defaults if not already set, and drop the
+    // options of deselected technologies so they cannot leak into templates
     const currentOptions = store.get('options') || {};
+    for (const techId of Object.keys(currentOptions)) {
+      if (!sources.some(source => source.id === techId)) {
+        delete currentOptions[techId];
+      }
+    }
+
+    container.appendChild(this._createProjectFieldset());
 
-    for (const techId of selectedIds) {
-      const tech = technologies.find(t => t.id === techId);
-      if (!tech || !tech.options || tech.options.length === 0) {
+    for (const tech of sources) {
+      const techId = tech.id;
+      if (!tech.options || tech.options.length === 0) {
         continue;
       }
 
@@ -115,7 +133,7 @@ export class OptionPanel extends HTMLElement {
       fieldset.appendChild(contentWrapper);
 
       // Collapse all except first technology
-      const techIndex = selectedIds.indexOf(techId);
+      const techIndex = sources.indexOf(tech);
       if (techIndex > 0) {
         fieldset.classList.add('collapsed');
       }
@@ -129,9 +147,185 @@ export class OptionPanel extends HTMLElement {
 
     store.set('options', currentOptions);
     this._evaluateAllDependencies();
+    this._renderConflicts();
+    this._renderConstraints();
     this._loadAllFragments(selectedIds);
   }
 
+  /**
+   * Builds the fieldset for the project variables (name, description,
+   * organization, license) every technology can reference.
+   */
+  _createProjectFieldset() {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    const collapseIndicator = document.createElement('span');
+    collapseIndicator.classList.add('collapse-indicator');
+    collapseIndicator.textContent = '\u25BC';
+    legend.appendChild(collapseIndicator);
+    legend.appendChild(document.createTextNode(' Project'));
+    fieldset.appendChild(legend);
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.classList.add('fieldset-content');
+
+    const tpl = this.shadowRoot.querySelector('[data-template-freeform]');
+    const projectVariables = store.get('projectVariables') || {};
+
+    for (const variable of PROJECT_VARIABLES) {
+      if (!tpl) {
+        break;
+      }
+      const clone = tpl.content.cloneNode(true);
+      const label = clone.querySelector('[data-option-label]');
+      const input = clone.querySelector('[data-freeform-input]');
+      const error = clone.querySelector('[data-option-error]');
+
+      if (label) {
+        label.textContent = variable.label;
+      }
+      if (input) {
+        input.value = projectVariables[variable.id] || '';
+        input.placeholder = variable.placeholder;
+        this._showValidation(input, error, validateOptionValue(variable, input.value));
+        input.addEventListener('input', (event) => {
+          const values = Object.assign({}, store.get('projectVariables'));
+          values[variable.id] = event.target.value;
+          this._showValidation(input, error, validateOptionValue(variable, event.target.value));
+          store.set('projectVariables', values);
+          eventBus.emit(OPTIONS_CHANGED, { techId: null, optionId: variable.id, value: event.target.value });
+        });
+      }
+      contentWrapper.appendChild(clone);
+    }
+
+    fieldset.appendChild(contentWrapper);
+    legend.addEventListener('click', () => {
+      fieldset.classList.toggle('collapsed');
+    });
+
+    return fieldset;
+  }
+
+  /**
+   * Lists bare option names that selected technologies set to different
+   * values, e.g. `language` as TypeScript for Next.js and JavaScript for
+   * React. Only options shown under `dependsOn` count. Hidden when there
+   * are none.
+   */
+  _renderConflicts() {
+    const notice = this.shadowRoot.querySelector('[data-conflict-notice]');
+    const list = this.shadowRoot.querySelector('[data-conflict-list]');
+    if (!notice || !list) {
+      return;
+    }
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    // Technology versions are expected to differ, e.g. React 19 and Next.js 15
+    const conflicts = findOptionConflicts(this._getVisibleOptions()).filter(conflict => conflict.name !== 'version');
+    if (conflicts.length === 0) {
+      notice.setAttribute('hidden', '');
+      return;
+    }
+
+    const sources = this._getOptionSources();
+    const techName = (techId) => {
+      const tech = sources.find(t => t.id === techId);
+      return tech ? tech.name : techId;
+    };
+
+    for (const conflict of conflicts) {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'conflict-name';
+      name.textContent = conflict.name;
+      item.appendChild(name);
+      const values = conflict.values.map(entry => `${techName(entry.techId)}: ${entry.value}`);
+      item.appendChild(document.createTextNode(' — ' + values.join(', ')));
+      list.appendChild(item);
+    }
+    notice.removeAttribute('hidden');
+  }
+
+  /**
+   * Returns the selected technologies, then the combinations that apply to
+   * them.
+   * @returns {Array}
+   */
+  _getOptionSources() {
+    const selectedIds = store.get('selectedTechIds') || [];
+    const technologies = store.get('technologies') || [];
+    return selectedIds
+      .map(id => technologies.find(t => t.id === id))
+      .filter(Boolean)
+      .concat(getActiveCombinations(selectedIds, technologies, store.get('combinations') || []));
+  }
+
+  /**
+   * Returns the stored option values whose `dependsOn` is met, keyed by
+   * technology or combination.
+   * @returns {Object}
+   */
+  _getVisibleOptions() {
+    const options = store.get('options') || {};
+    const selectedIds = store.get('selectedTechIds') || [];
+    const visible = {};
+
+    for (const source of this._getOptionSources()) {
+      const values = options[source.id] || {};
+      visible[source.id] = {};
+      for (const option of source.options || []) {
+        if (values[option.id] !== undefined && dependenciesMet(option.dependsOn, source.id, options, selectedIds)) {
+          visible[source.id][option.id] = values[option.id];
+        }
+      }
+    }
+
+    return visible;
+  }
+
+  /**
+   * Lists the constraints of selected technologies that the current options
+   * violate, e.g. the Pages Router with React Server Components. Hidden
+   * when there are none.
+   */
+  _renderConstraints() {
+    const notice = this.shadowRoot.querySelector('[data-constraint-notice]');
+    const list = this.shadowRoot.querySelector('[data-constraint-list]');
+    if (!notice || !list) {
+      return;
+    }
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    const technologies = store.get('technologies') || [];
+    const violations = findConstraintViolations({
+      selectedTechIds: store.get('selectedTechIds') || [],
+      options: store.get('options') || {},
+    }, technologies);
+    if (violations.length === 0) {
+      notice.setAttribute('hidden', '');
+      return;
+    }
+
+    for (const violation of violations) {
+      const tech = technologies.find(t => t.id === violation.techId);
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'constraint-tech';
+      name.textContent = tech ? tech.name : violation.techId;
+      item.appendChild(name);
+      item.appendChild(document.createTextNode(' — ' + violation.message));
+      list.appendChild(item);
+    }
+    notice.removeAttribute('hidden');
+  }
+
   /**
    * Returns the default value for a given option definition.
    */
@@ -140,6 +334,9 @@ export class OptionPanel extends HTMLElement {
       const defaultChoice = (option.choices || []).find(c => c.default);
       return defaultChoice ? defaultChoice.id : (option.choices && option.choices.length > 0 ? option.choices[0].id : '');
     }
+    if (option.type === 'multi-select') {
+      return (option.choices || []).filter(c => c.default).map(c => c.id);
+    }
     if (option.type === 'toggle') {
       return option.default === true;
     }
@@ -156,6 +353,9 @@ export class OptionPanel extends HTMLElement {
     if (option.type === 'single-select') {
       return this._createSingleSelect(techId, option, techOptions);
     }
+    if (option.type === 'multi-select') {
+      return this._createMultiSelect(techId, option, techOptions);
+    }
     if (option.type === 'toggle') {
       return this._createToggle(techId, option, techOptions);
     }
@@ -232,6 +432,78 @@ export class OptionPanel extends HTMLElement {
     return clone;
   }
 
+  /**
+   * Builds a checkbox group for a multi-select option. `min` and `max` on
+   * the option limit how many choices can be selected; choices that would
+   * break a limit are disabled.
+   */
+  _createMultiSelect(techId, option, techOptions) {
+    const tpl = this.shadowRoot.querySelector('[data-template-multi-select]');
+    if (!tpl) {
+      return null;
+    }
+
+    const clone = tpl.content.cloneNode(true);
+    const group = clone.querySelector('[data-option-group]');
+    const label = clone.querySelector('[data-option-label]');
+    const hint = clone.querySelector('[data-option-hint]');
+    const checkboxList = clone.querySelector('[data-checkbox-list]');
+
+    if (label) {
+      label.textContent = option.label;
+    }
+
+    const limits = this._describeSelectionLimits(option);
+    if (hint && limits) {
+      hint.textContent = limits;
+      hint.removeAttribute('hidden');
+    }
+
+    if (group) {
+      group.setAttribute('data-tech-id', techId);
+      group.setAttribute('data-option-id', option.id);
+      if (option.dependsOn) {
+        group.setAttribute('data-depends-on', JSON.stringify(option.dependsOn));
+      }
+    }
+
+    const selected = Array.isArray(techOptions[option.id]) ? techOptions[option.id] : [];
+    const choiceTpl = this.shadowRoot.querySelector('[data-template-checkbox-choice]');
+
+    for (const choice of (option.choices || [])) {
+      if (!choiceTpl || !checkboxList) {
+        break;
+      }
+
+      const choiceClone = choiceTpl.content.cloneNode(true);
+      const row = choiceClone.querySelector('.checkbox-row');
+      const input = choiceClone.querySelector('.checkbox-input');
+      const checkboxLabel = choiceClone.querySelector('[data-checkbox-label]');
+
+      if (input) {
+        input.value = choice.id;
+      }
+
+      if (checkboxLabel) {
+        checkboxLabel.textContent = choice.label;
+      }
+
+      if (row && input) {
+        row.addEventListener('click', () => {
+          this._handleMultiSelectChange(techId, option, choice.id, !input.checked, checkboxList);
+        });
+      }
+
+      checkboxList.appendChild(choiceClone);
+    }
+
+    if (checkboxList) {
+      this._updateCheckboxList(checkboxList, option, selected);
+    }
+
+    return clone;
+  }
+
   _createToggle(techId, option, techOptions) {
     const tpl = this.shadowRoot.querySelector('[data-template-toggle]');
     if (!tpl) {
@@ -282,6 +554,11 @@ export class OptionPanel extends HTMLElement {
     return clone;
   }
 
+  /**
+   * Builds a text input for a freeform option, with an inline error when
+   * the value breaks the option's `required`, `pattern`, `minLength` or
+   * `maxLength` rules.
+   */
   _createFreeform(techId, option, techOptions) {
     const tpl = this.shadowRoot.querySelector('[data-template-freeform]');
     if (!tpl) {
@@ -292,6 +569,7 @@ export class OptionPanel extends HTMLElement {
     const group = clone.querySelector('[data-option-group]');
     const label = clone.querySelector('[data-option-label]');
     const input = clone.querySelector('[data-freeform-input]');
+    const error = clone.querySelector('[data-option-error]');
 
     if (label) {
       label.textContent = option.label;
@@ -310,7 +588,12 @@ export class OptionPanel extends HTMLElement {
       if (option.placeholder) {
         input.placeholder = option.placeholder;
       }
+      if (option.required) {
+        input.required = true;
+      }
+      this._showValidation(input, error, validateOptionValue(option, input.value));
       input.addEventListener('input', (event) => {
+        this._showValidation(input, error, validateOptionValue(option, event.target.value));
         this._handleOptionChange(techId, option.id, event.target.value);
       });
     }
@@ -318,6 +601,23 @@ export class OptionPanel extends HTMLElement {
     return clone;
   }
 
+  /**
+   * Shows or clears the inline error under a freeform input.
+   */
+  _showValidation(input, error, message) {
+    input.setAttribute('aria-invalid', String(Boolean(message)));
+    input.classList.toggle('invalid', Boolean(message));
+    if (!error) {
+      return;
+    }
+    error.textContent = message || '';
+    if (message) {
+      error.removeAttribute('hidden');
+    } else {
+      error.setAttribute('hidden', '');
+    }
+  }
+
   /**
    * Handles a radio button selection change.
    */
@@ -344,6 +644,83 @@ export class OptionPanel extends HTMLElement {
     this._handleOptionChange(techId, optionId, choiceId);
   }
 
+  /**
+   * Handles ticking or unticking a multi-select choice. Changes that would
+   * select fewer than `min` or more than `max` choices are ignored.
+   */
+  _handleMultiSelectChange(techId, option, choiceId, checked, checkboxList) {
+    const techOptions = (store.get('options') || {})[techId] || {};
+    const current = Array.isArray(techOptions[option.id]) ? techOptions[option.id] : [];
+    const next = (option.choices || [])
+      .map(c => c.id)
+      .filter(id => (id === choiceId ? checked : current.includes(id)));
+
+    const unchanged = next.length === current.length && next.every(id => current.includes(id));
+    if (unchanged || !this._withinSelectionLimits(option, next)) {
+      this._updateCheckboxList(checkboxList, option, current);
+      return;
+    }
+
+    this._updateCheckboxList(checkboxList, option, next);
+    this._handleOptionChange(techId, option.id, next);
+  }
+
+  /**
+   * Syncs a multi-select's checkboxes with the selected choice IDs and
+   * disables the choices that cannot change without breaking a limit.
+   */
+  _updateCheckboxList(checkboxList, option, selected) {
+    const rows = checkboxList.querySelectorAll('.checkbox-row');
+    rows.forEach(row => {
+      const input = row.querySelector('.checkbox-input');
+      if (!input) {
+        return;
+      }
+      const checked = selected.includes(input.value);
+      const toggled = checked
+        ? selected.filter(id => id !== input.value)
+        : selected.concat(input.value);
+      const disabled = !this._withinSelectionLimits(option, toggled);
+
+      input.checked = checked;
+      row.classList.toggle('checked', checked);
+      row.classList.toggle('disabled', disabled);
+      row.setAttribute('aria-disabled', String(disabled));
+    });
+  }
+
+  /**
+   * Whether a multi-select selection respects the option's `min` and `max`.
+   */
+  _withinSelectionLimits(option, selected) {
+    if (typeof option.min === 'number' && selected.length < option.min) {
+      return false;
+    }
+    if (typeof option.max === 'number' && selected.length > option.max) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Describes a multi-select's limits for the hint under its label, e.g.
+   * "Choose 1 to 2". Returns an empty string when it has none.
+   */
+  _describeSelectionLimits(option) {
+    const hasMin = typeof option.min === 'number' && option.min > 0;
+    const hasMax = typeof option.max === 'number';
+    if (hasMin && hasMax) {
+      return option.min === option.max ? `Choose ${option.min}` : `Choose ${option.min} to ${option.max}`;
+    }
+    if (hasMin) {
+      return `Choose at least ${option.min}`;
+    }
+    if (hasMax) {
+      return `Choose up to ${option.max}`;
+    }
+    return '';
+  }
+
   /**
    * Common handler for any option value change.
    * Updates the store and re-evaluates dependencies.
@@ -358,6 +735,8 @@ export class OptionPanel extends HTMLElement {
 
     eventBus.emit(OPTIONS_CHANGED, { techId, optionId, value });
     this._evaluateAllDependencies();
+    this._renderConflicts();
+    this._renderConstraints();
 
     const selectedIds = store.get('selectedTechIds') || [];
     this._loadAllFragments(selectedIds);
@@ -368,6 +747,7 @@ export class OptionPanel extends HTMLElement {
    */
   _evaluateAllDependencies() {
     const options = store.get('options') || {};
+    const selectedIds = store.get('selectedTechIds') || [];
     const groups = this.shadowRoot.querySelectorAll('[data-depends-on]');
 
     groups.forEach(group => {
@@ -385,27 +765,7 @@ export class OptionPanel extends HTMLElement {
         return;
       }
 
-      const techOptions = options[techId] || {};
-      let satisfied = true;
-
-      for (const depKey of Object.keys(dependsOn)) {
-        const allowedValues = dependsOn[depKey];
-        const currentValue = techOptions[depKey];
-
-        if (Array.isArray(allowedValues)) {
-          if (!allowedValues.includes(currentValue)) {
-            satisfied = false;
-            break;
-          }
-        } else {
-          if (currentValue !== allowedValues) {
-            satisfied = false;
-            break;
-          }
-        }
-      }
-
-      if (satisfied) {
+      if (dependenciesMet(dependsOn, techId, options, selectedIds)) {
         group.removeAttribute('hidden');
       } else {
         group.setAttribute('hidden', '');
@@ -418,18 +778,9 @@ export class OptionPanel extends HTMLElement {
    */
   async _loadAllFragments(selectedIds) {
     try {
-      const fragmentPromises = selectedIds.map(id => loadFragments(id));
-      const fragmentResults = await Promise.all(fragmentPromises);
-      const allFragments = fragmentResults.flat();
-
-      const comboFragments = await loadCombinationFragments(selectedIds);
-      allFragments.push(...comboFragments);
-
-      store.set('fragments', allFragments);
-
-      const templatePromises = selectedIds.map(id => loadTemplates(id));
-      const templateResults = await Promise.all(templatePromises);
-      store.set('templateFiles', templateResults.flat());
+      const { fragments, templateFiles } = await loadSelection(selectedIds);
+      store.set('fragments', fragments);
+      store.set('templateFiles', templateFiles);
     } catch (err) {
       eventBus.emit(TOAST_SHOW, {
         message: 'Failed to load some prompt fragments.',
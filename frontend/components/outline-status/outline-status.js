@@ -0,0 +1,93 @@
+/**
+ * OutlineStatus — Heading outline controls for the generated document.
+ * Toggles the table of contents and lists headings that skip a level,
+ * from the `outlineReport` the generator stores on every generation.
+ */
+import { store } from '../../js/store.js';
+
+export class OutlineStatus extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._unsubscribers = [];
+  }
+
+  async connectedCallback() {
+    const [html, css] = await Promise.all([
+      fetch(new URL('./outline-status.html', import.meta.url)).then(r => r.text()),
+      fetch(new URL('./outline-status.css', import.meta.url)).then(r => r.text())
+    ]);
+
+    const style = document.createElement('style');
+    style.textContent = css;
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    this.shadowRoot.append(style, template.content.cloneNode(true));
+
+    this._bind();
+    this._render();
+  }
+
+  disconnectedCallback() {
+    for (const unsub of this._unsubscribers) {
+      unsub();
+    }
+    this._unsubscribers = [];
+  }
+
+  _bind() {
+    var checkbox = this.shadowRoot.querySelector('[data-toc-checkbox]');
+    if (checkbox) {
+      checkbox.checked = store.get('includeToc') || false;
+      checkbox.addEventListener('change', function (event) {
+        store.set('includeToc', event.target.checked);
+      });
+    }
+
+    var unsubToc = store.subscribe('includeToc', function (value) {
+      if (checkbox) {
+        checkbox.checked = value || false;
+      }
+    });
+    this._unsubscribers.push(unsubToc);
+
+    var unsubReport = store.subscribe('outlineReport', this._render.bind(this));
+    this._unsubscribers.push(unsubReport);
+  }
+
+  _render() {
+    var report = store.get('outlineReport');
+    var jumps = this.shadowRoot.querySelector('[data-outline-jumps]');
+    var summary = this.shadowRoot.querySelector('[data-jumps-summary]');
+    var list = this.shadowRoot.querySelector('[data-jumps-list]');
+
+    if (!jumps || !summary || !list) {
+      return;
+    }
+
+    var items = (report && report.jumps) || [];
+    if (items.length === 0) {
+      jumps.setAttribute('hidden', '');
+      jumps.removeAttribute('open');
+      return;
+    }
+
+    jumps.removeAttribute('hidden');
+    summary.textContent = items.length === 1 ? '1 heading skips a level' : items.length + ' headings skip a level';
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    for (var i = 0; i < items.length; i++) {
+      var item = document.createElement('li');
+      item.className = 'jumps-item';
+      item.textContent = '#'.repeat(items[i].level) + ' ' + items[i].text + ' — after a level ' + items[i].previousLevel + ' heading';
+      list.appendChild(item);
+    }
+  }
+}
+
+customElements.define('outline-status', OutlineStatus);
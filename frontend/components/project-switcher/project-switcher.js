@@ -0,0 +1,113 @@
+/**
+ * ProjectSwitcher — Tabs for the projects of a monorepo.
+ * The root project is always present; sub-projects are added by directory
+ * (e.g. web/, api/) and each keeps its own technology selection and options.
+ * Switching tabs swaps that state in and out of the top-level store keys.
+ */
+import { store } from '../../js/store.js';
+import { eventBus, TOAST_SHOW } from '../../js/event-bus.js';
+import { getProjectStates, addProject, switchProject, removeProject } from '../../js/projects.js';
+
+export class ProjectSwitcher extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._unsubscribers = [];
+  }
+
+  async connectedCallback() {
+    const [html, css] = await Promise.all([
+      fetch(new URL('./project-switcher.html', import.meta.url)).then(r => r.text()),
+      fetch(new URL('./project-switcher.css', import.meta.url)).then(r => r.text())
+    ]);
+
+    const style = document.createElement('style');
+    style.textContent = css;
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    this.shadowRoot.append(style, template.content.cloneNode(true));
+
+    this._bind();
+    this._render();
+  }
+
+  disconnectedCallback() {
+    for (const unsub of this._unsubscribers) {
+      unsub();
+    }
+    this._unsubscribers = [];
+  }
+
+  _bind() {
+    var form = this.shadowRoot.querySelector('[data-add-project-form]');
+    if (form) {
+      form.addEventListener('submit', this._onAddProject.bind(this));
+    }
+
+    var unsub1 = store.subscribe('projects', this._render.bind(this));
+    this._unsubscribers.push(unsub1);
+
+    var unsub2 = store.subscribe('activeProjectIndex', this._render.bind(this));
+    this._unsubscribers.push(unsub2);
+  }
+
+  /**
+   * Renders one tab per project, marking the active one.
+   */
+  _render() {
+    var container = this.shadowRoot.querySelector('[data-project-tabs]');
+    var tpl = this.shadowRoot.querySelector('[data-template-project-tab]');
+
+    if (!container || !tpl) {
+      return;
+    }
+
+    var projects = getProjectStates();
+    var activeIndex = store.get('activeProjectIndex') || 0;
+    container.innerHTML = '';
+
+    for (var i = 0; i < projects.length; i++) {
+      var clone = tpl.content.cloneNode(true);
+      var tab = clone.querySelector('[data-project-tab]');
+      var selectBtn = clone.querySelector('[data-project-select]');
+      var removeBtn = clone.querySelector('[data-project-remove]');
+      var label = projects[i].path || '/ (root)';
+
+      if (i === activeIndex) {
+        tab.classList.add('active');
+      }
+
+      selectBtn.textContent = label;
+      selectBtn.setAttribute('aria-selected', String(i === activeIndex));
+      selectBtn.addEventListener('click', switchProject.bind(null, i));
+
+      if (i > 0) {
+        removeBtn.removeAttribute('hidden');
+        removeBtn.setAttribute('aria-label', 'Remove project ' + label);
+        removeBtn.addEventListener('click', removeProject.bind(null, i));
+      }
+
+      container.appendChild(clone);
+    }
+  }
+
+  _onAddProject(event) {
+    event.preventDefault();
+
+    var input = this.shadowRoot.querySelector('[data-add-project-input]');
+    if (!input) {
+      return;
+    }
+
+    try {
+      addProject(input.value);
+      input.value = '';
+    } catch (err) {
+      eventBus.emit(TOAST_SHOW, { message: err.message, type: 'error' });
+    }
+  }
+}
+
+customElements.define('project-switcher', ProjectSwitcher);
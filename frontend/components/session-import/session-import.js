@@ -0,0 +1,174 @@
+/**
+ * SessionImport — Restores a session from a previously generated file.
+ * Accepts pasted or dropped text: a generated markdown file carrying a
+ * provenance comment, or the `agentsdotmd.json` from a downloaded zip.
+ * Markdown without a record is rebuilt from its header and sections.
+ * Several files can be dropped at once: the one carrying the record is
+ * imported, and the others, e.g. a monorepo's sub-project files, are read
+ * for their local edits.
+ */
+import { eventBus, TOAST_SHOW } from '../../js/event-bus.js';
+import { extractProvenance, restoreSession } from '../../js/provenance.js';
+import { importMarkdown, restoreLocalEdits } from '../../js/markdown-import.js';
+
+export class SessionImport extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._extraFiles = [];
+  }
+
+  async connectedCallback() {
+    const [html, css] = await Promise.all([
+      fetch(new URL('./session-import.html', import.meta.url)).then(r => r.text()),
+      fetch(new URL('./session-import.css', import.meta.url)).then(r => r.text())
+    ]);
+
+    const style = document.createElement('style');
+    style.textContent = css;
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    this.shadowRoot.append(style, template.content.cloneNode(true));
+
+    this._bind();
+  }
+
+  _bind() {
+    var textarea = this.shadowRoot.querySelector('[data-import-text]');
+    var fileInput = this.shadowRoot.querySelector('[data-import-file]');
+    var importBtn = this.shadowRoot.querySelector('[data-import-btn]');
+
+    if (textarea) {
+      textarea.addEventListener('dragover', function (event) {
+        event.preventDefault();
+        textarea.classList.add('drag-over');
+      });
+      textarea.addEventListener('dragleave', function () {
+        textarea.classList.remove('drag-over');
+      });
+      textarea.addEventListener('drop', this._onDrop.bind(this));
+    }
+
+    if (fileInput) {
+      fileInput.addEventListener('change', this._onFileChosen.bind(this));
+    }
+
+    if (importBtn) {
+      importBtn.addEventListener('click', this._onImport.bind(this));
+    }
+  }
+
+  async _onDrop(event) {
+    event.preventDefault();
+    event.target.classList.remove('drag-over');
+
+    var files = event.dataTransfer ? event.dataTransfer.files : [];
+    if (files.length > 0) {
+      await this._readFiles(files);
+    }
+  }
+
+  async _onFileChosen(event) {
+    var files = event.target.files;
+    if (files.length > 0) {
+      await this._readFiles(files);
+    }
+    event.target.value = '';
+  }
+
+  /**
+   * Loads the file carrying a provenance record (or the first file) into
+   * the textarea so it can be reviewed before importing, and keeps the
+   * others to read their local edits from.
+   */
+  async _readFiles(fileList) {
+    var textarea = this.shadowRoot.querySelector('[data-import-text]');
+    var files = [];
+    for (var i = 0; i < fileList.length; i++) {
+      files.push({ name: fileList[i].name, text: await fileList[i].text() });
+    }
+
+    var mainIndex = files.findIndex(function(file) { return extractProvenance(file.text); });
+    var main = files.splice(mainIndex === -1 ? 0 : mainIndex, 1)[0];
+    if (textarea) {
+      textarea.value = main.text;
+    }
+    this._extraFiles = files;
+    this._renderExtraFiles();
+  }
+
+  /**
+   * Lists the extra files that will be read for local edits.
+   */
+  _renderExtraFiles() {
+    var extra = this.shadowRoot.querySelector('[data-import-extra]');
+    if (!extra) {
+      return;
+    }
+    if (this._extraFiles.length === 0) {
+      extra.setAttribute('hidden', '');
+      return;
+    }
+    var names = this._extraFiles.map(function(file) { return file.name; });
+    extra.textContent = 'Also reading local edits from ' + names.join(', ') + '.';
+    extra.removeAttribute('hidden');
+  }
+
+  async _onImport() {
+    var textarea = this.shadowRoot.querySelector('[data-import-text]');
+    var importBtn = this.shadowRoot.querySelector('[data-import-btn]');
+    var text = textarea ? textarea.value : '';
+
+    if (!text.trim()) {
+      eventBus.emit(TOAST_SHOW, { message: 'Paste or drop a file to import.', type: 'error' });
+      return;
+    }
+
+    if (importBtn) {
+      importBtn.disabled = true;
+    }
+
+    try {
+      var record = extractProvenance(text);
+      var result = record ? await restoreSession(record) : await importMarkdown(text);
+      if (record && record.editedFragments) {
+        var texts = [text].concat(this._extraFiles.map(function(file) { return file.text; }));
+        restoreLocalEdits(texts, record.editedFragments);
+      }
+      this._onRestored(result.warnings);
+    } catch (err) {
+      eventBus.emit(TOAST_SHOW, { message: err.message || 'Import failed.', type: 'error' });
+    } finally {
+      if (importBtn) {
+        importBtn.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Clears the form and reports the restore, including any library drift.
+   */
+  _onRestored(warnings) {
+    var textarea = this.shadowRoot.querySelector('[data-import-text]');
+    var panel = this.shadowRoot.querySelector('[data-import-panel]');
+
+    if (textarea) {
+      textarea.value = '';
+    }
+    if (panel) {
+      panel.removeAttribute('open');
+    }
+    this._extraFiles = [];
+    this._renderExtraFiles();
+
+    if (warnings.length === 0) {
+      eventBus.emit(TOAST_SHOW, { message: 'Session restored.', type: 'success' });
+    } else {
+      eventBus.emit(TOAST_SHOW, { message: 'Session restored. ' + warnings.join(' '), type: 'warning' });
+    }
+  }
+}
+
+customElements.define('session-import', SessionImport);
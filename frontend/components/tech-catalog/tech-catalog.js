@@ -1,7 +1,8 @@
 /**
  * TechCatalog — Grid of technology cards with search and category filtering.
- * Loads the technology manifest, renders tech-card elements, handles
- * selection state, incompatibility checks, and navigation to the next step.
+ * Loads the technology manifest, renders tech-card elements and a row of
+ * stack presets, handles selection state, prerequisites, incompatibility
+ * checks, and navigation to the next step.
  */
 import { store } from '../../js/store.js';
 import { eventBus, TECH_SELECTED, TECH_DESELECTED, NAVIGATE, TOAST_SHOW } from '../../js/event-bus.js';
@@ -63,6 +64,17 @@ export class TechCatalog extends HTMLElement {
       });
     }
 
+    const presetList = this.shadowRoot.querySelector('[data-preset-list]');
+    if (presetList) {
+      presetList.addEventListener('click', (event) => {
+        const btn = event.target.closest('.preset-btn');
+        if (!btn) {
+          return;
+        }
+        this._applyPreset(btn.getAttribute('data-preset-id'));
+      });
+    }
+
     this.shadowRoot.addEventListener('tech-card-toggle', (event) => {
       this._handleCardToggle(event.detail);
     });
@@ -106,9 +118,92 @@ export class TechCatalog extends HTMLElement {
     }
 
     this._renderCards();
+    this._renderPresets();
     this._updateSelectionUI();
   }
 
+  _renderPresets() {
+    const row = this.shadowRoot.querySelector('[data-preset-row]');
+    const list = this.shadowRoot.querySelector('[data-preset-list]');
+    if (!row || !list) {
+      return;
+    }
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    const presets = (this._manifest && this._manifest.presets) || [];
+    if (presets.length === 0) {
+      row.setAttribute('hidden', '');
+      return;
+    }
+
+    for (const preset of presets) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'preset-btn';
+      btn.setAttribute('data-preset-id', preset.id);
+      btn.textContent = preset.name;
+      if (preset.description) {
+        btn.title = preset.description;
+      }
+      list.appendChild(btn);
+    }
+    row.removeAttribute('hidden');
+  }
+
+  _applyPreset(presetId) {
+    const presets = (this._manifest && this._manifest.presets) || [];
+    const preset = presets.find(p => p.id === presetId);
+    if (!preset) {
+      return;
+    }
+
+    // Select the preset's technologies, each after its prerequisites
+    const technologies = this._manifest.technologies || [];
+    const selected = [];
+    for (const techId of preset.technologies) {
+      if (selected.includes(techId) || !technologies.some(t => t.id === techId)) {
+        continue;
+      }
+      selected.push(...this._findMissingPrerequisites(techId, selected), techId);
+    }
+
+    for (const techId of selected) {
+      const incompatible = this._checkIncompatibilities(techId, selected.filter(id => id !== techId));
+      if (incompatible) {
+        eventBus.emit(TOAST_SHOW, {
+          message: incompatible,
+          type: 'warning'
+        });
+        return;
+      }
+    }
+
+    const previous = store.get('selectedTechIds') || [];
+    for (const techId of previous) {
+      if (!selected.includes(techId)) {
+        eventBus.emit(TECH_DESELECTED, { techId });
+      }
+    }
+    for (const techId of selected) {
+      if (!previous.includes(techId)) {
+        eventBus.emit(TECH_SELECTED, { techId });
+      }
+    }
+
+    // The preset's values replace the current options; the option panel
+    // fills in defaults for everything the preset leaves out
+    store.set('options', JSON.parse(JSON.stringify(preset.options || {})));
+    store.set('selectedTechIds', selected);
+
+    eventBus.emit(TOAST_SHOW, {
+      message: 'Applied the ' + preset.name + ' preset.',
+      type: 'success'
+    });
+  }
+
   _renderCards() {
     const grid = this.shadowRoot.querySelector('[data-catalog-grid]');
     if (!grid) {
@@ -202,26 +297,45 @@ export class TechCatalog extends HTMLElement {
 
     if (selected) {
       if (!currentSelected.includes(techId)) {
-        const incompatible = this._checkIncompatibilities(techId, currentSelected);
-        if (incompatible) {
-          eventBus.emit(TOAST_SHOW, {
-            message: incompatible,
-            type: 'warning'
-          });
-
-          const card = this.shadowRoot.querySelector(
-            'tech-card[tech-id="' + techId + '"]'
-          );
-          if (card) {
-            card.removeAttribute('selected');
+        // Prerequisites are selected ahead of the technology that needs them
+        const prerequisites = this._findMissingPrerequisites(techId, currentSelected);
+        const toAdd = [...prerequisites, techId];
+
+        for (const id of toAdd) {
+          const incompatible = this._checkIncompatibilities(id, currentSelected.concat(toAdd.filter(other => other !== id)));
+          if (incompatible) {
+            eventBus.emit(TOAST_SHOW, {
+              message: incompatible,
+              type: 'warning'
+            });
+            this._setCardSelected(techId, false);
+            return;
           }
-          return;
         }
 
-        currentSelected.push(techId);
-        eventBus.emit(TECH_SELECTED, { techId });
+        for (const id of toAdd) {
+          currentSelected.push(id);
+          eventBus.emit(TECH_SELECTED, { techId: id });
+        }
+
+        if (prerequisites.length > 0) {
+          eventBus.emit(TOAST_SHOW, {
+            message: 'Also selected ' + this._joinNames(prerequisites) + ', which ' + this._techName(techId) + ' requires.',
+            type: 'info'
+          });
+        }
       }
     } else {
+      const dependents = this._findSelectedDependents(techId, currentSelected);
+      if (dependents.length > 0) {
+        eventBus.emit(TOAST_SHOW, {
+          message: this._requiredByMessage(techId, dependents),
+          type: 'warning'
+        });
+        this._setCardSelected(techId, true);
+        return;
+      }
+
       const index = currentSelected.indexOf(techId);
       if (index !== -1) {
         currentSelected.splice(index, 1);
@@ -256,6 +370,67 @@ export class TechCatalog extends HTMLElement {
     return null;
   }
 
+  _findMissingPrerequisites(techId, currentSelected) {
+    const technologies = (this._manifest && this._manifest.technologies) || [];
+    const missing = [];
+
+    const visit = (id) => {
+      const tech = technologies.find(t => t.id === id);
+      for (const requiredId of (tech && tech.requires) || []) {
+        if (requiredId === techId || currentSelected.includes(requiredId) || missing.includes(requiredId)) {
+          continue;
+        }
+        if (!technologies.some(t => t.id === requiredId)) {
+          continue;
+        }
+        // Add a prerequisite's own prerequisites before it
+        visit(requiredId);
+        missing.push(requiredId);
+      }
+    };
+    visit(techId);
+
+    return missing;
+  }
+
+  _findSelectedDependents(techId, currentSelected) {
+    const technologies = (this._manifest && this._manifest.technologies) || [];
+    return currentSelected.filter(id => {
+      const tech = technologies.find(t => t.id === id);
+      return id !== techId && tech && (tech.requires || []).includes(techId);
+    });
+  }
+
+  _requiredByMessage(techId, dependents) {
+    return this._techName(techId) + ' is required by ' + this._joinNames(dependents) + '. Deselect ' +
+      (dependents.length === 1 ? 'it' : 'them') + ' first.';
+  }
+
+  _techName(techId) {
+    const technologies = (this._manifest && this._manifest.technologies) || [];
+    const tech = technologies.find(t => t.id === techId);
+    return tech ? tech.name : techId;
+  }
+
+  _joinNames(techIds) {
+    const names = techIds.map(id => this._techName(id));
+    return names.length > 1 ? names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1] : names[0];
+  }
+
+  _setCardSelected(techId, selected) {
+    const card = this.shadowRoot.querySelector(
+      'tech-card[tech-id="' + techId + '"]'
+    );
+    if (!card) {
+      return;
+    }
+    if (selected) {
+      card.setAttribute('selected', '');
+    } else {
+      card.removeAttribute('selected');
+    }
+  }
+
   _updateIncompatibleStates(selectedIds) {
     if (!this._manifest) {
       return;
@@ -427,6 +602,15 @@ export class TechCatalog extends HTMLElement {
 
   _deselectTech(techId) {
     const currentSelected = [...(store.get('selectedTechIds') || [])];
+    const dependents = this._findSelectedDependents(techId, currentSelected);
+    if (dependents.length > 0) {
+      eventBus.emit(TOAST_SHOW, {
+        message: this._requiredByMessage(techId, dependents),
+        type: 'warning'
+      });
+      return;
+    }
+
     const index = currentSelected.indexOf(techId);
     if (index !== -1) {
       currentSelected.splice(index, 1);
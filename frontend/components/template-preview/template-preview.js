@@ -1,9 +1,11 @@
 /**
  * TemplatePreview — Displays template/boilerplate files for selected technologies.
- * Renders each template file as a collapsible entry showing file path and content.
- * Variable placeholders ({{variable}}) are highlighted in the display.
+ * Renders each template file the current options include as a collapsible
+ * entry showing file path and content. Variable placeholders ({{variable}})
+ * are highlighted in the display; files copied as-is are shown plain.
  */
 import { store } from '../../js/store.js';
+import { renderTemplates } from '../../js/generator.js';
 
 export class TemplatePreview extends HTMLElement {
   constructor() {
@@ -40,10 +42,17 @@ export class TemplatePreview extends HTMLElement {
   _bind() {
     var unsubTemplates = store.subscribe('templateFiles', this._render.bind(this));
     this._unsubscribers.push(unsubTemplates);
+
+    var unsubOptions = store.subscribe('options', this._render.bind(this));
+    this._unsubscribers.push(unsubOptions);
+
+    var unsubVariables = store.subscribe('projectVariables', this._render.bind(this));
+    this._unsubscribers.push(unsubVariables);
   }
 
   /**
-   * Renders all template files from the store.
+   * Renders the template files the current options include, each under
+   * its resolved output path.
    */
   _render() {
     var list = this.shadowRoot.querySelector('[data-template-list]');
@@ -56,7 +65,7 @@ export class TemplatePreview extends HTMLElement {
       list.removeChild(list.firstChild);
     }
 
-    var templateFiles = store.get('templateFiles') || [];
+    var templateFiles = renderTemplates(store.get('templateFiles') || [], store.get('options') || {}, store.get('projectVariables') || {}, store.get('selectedTechIds') || []);
 
     if (templateFiles.length === 0) {
       if (emptyState) {
@@ -84,15 +93,17 @@ export class TemplatePreview extends HTMLElement {
       var fileContent = clone.querySelector('[data-file-content]');
       var toggleIndicator = clone.querySelector('[data-toggle-indicator]');
 
-      var outputPath = file.outputPath || file.sourcePath || '';
-      var content = file.content || '';
+      var outputPath = file.path;
+      var content = file.template.content || '';
 
       if (filePath) {
         filePath.textContent = outputPath;
       }
 
       // Render content with variable placeholders highlighted
-      if (fileCode) {
+      if (fileCode && file.template.raw) {
+        fileCode.textContent = content;
+      } else if (fileCode) {
         this._renderHighlightedContent(fileCode, content);
       }
 
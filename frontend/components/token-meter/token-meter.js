@@ -0,0 +1,174 @@
+/**
+ * TokenMeter — Estimated token count for the generated document.
+ * Shows the total against the optional budget, a per-technology and
+ * per-fragment breakdown, and which fragments the budget cut. Renders
+ * the `tokenReport` the generator stores on every generation.
+ */
+import { store } from '../../js/store.js';
+import { formatTokens } from '../../js/token-budget.js';
+
+export class TokenMeter extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._unsubscribers = [];
+  }
+
+  async connectedCallback() {
+    const [html, css] = await Promise.all([
+      fetch(new URL('./token-meter.html', import.meta.url)).then(r => r.text()),
+      fetch(new URL('./token-meter.css', import.meta.url)).then(r => r.text())
+    ]);
+
+    const style = document.createElement('style');
+    style.textContent = css;
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    this.shadowRoot.append(style, template.content.cloneNode(true));
+
+    this._bind();
+    this._render();
+  }
+
+  disconnectedCallback() {
+    for (const unsub of this._unsubscribers) {
+      unsub();
+    }
+    this._unsubscribers = [];
+  }
+
+  _bind() {
+    var budgetInput = this.shadowRoot.querySelector('[data-budget-input]');
+    if (budgetInput) {
+      budgetInput.value = store.get('tokenBudget') || '';
+      budgetInput.addEventListener('change', this._onBudgetChange.bind(this));
+    }
+
+    var unsub = store.subscribe('tokenReport', this._render.bind(this));
+    this._unsubscribers.push(unsub);
+  }
+
+  /**
+   * Stores the new budget; an empty or zero value removes it.
+   */
+  _onBudgetChange(event) {
+    var budget = parseInt(event.target.value, 10);
+    store.set('tokenBudget', budget > 0 ? budget : 0);
+  }
+
+  _render() {
+    var report = store.get('tokenReport');
+    var meter = this.shadowRoot.querySelector('.token-meter');
+    var summary = this.shadowRoot.querySelector('[data-meter-summary]');
+    var bar = this.shadowRoot.querySelector('[data-meter-bar]');
+    var fill = this.shadowRoot.querySelector('[data-meter-fill]');
+
+    if (!report || !meter) {
+      return;
+    }
+
+    var overBudget = report.budget > 0 && report.total > report.budget;
+    meter.classList.toggle('over-budget', overBudget);
+
+    if (summary) {
+      summary.textContent = report.budget > 0
+        ? '≈ ' + formatTokens(report.total) + ' / ' + formatTokens(report.budget) + ' tokens'
+        : '≈ ' + formatTokens(report.total) + ' tokens';
+    }
+
+    if (bar && fill) {
+      if (report.budget > 0) {
+        bar.removeAttribute('hidden');
+        fill.style.width = Math.min(100, Math.round(report.total / report.budget * 100)) + '%';
+      } else {
+        bar.setAttribute('hidden', '');
+      }
+    }
+
+    this._renderBreakdown(report);
+    this._renderCutNotice(report);
+  }
+
+  /**
+   * Lists each technology group and its fragments with their token counts.
+   */
+  _renderBreakdown(report) {
+    var list = this.shadowRoot.querySelector('[data-breakdown-list]');
+    var groupTpl = this.shadowRoot.querySelector('[data-template-breakdown-group]');
+    var fragmentTpl = this.shadowRoot.querySelector('[data-template-breakdown-fragment]');
+
+    if (!list || !groupTpl || !fragmentTpl) {
+      return;
+    }
+
+    list.innerHTML = '';
+
+    for (var g = 0; g < report.groups.length; g++) {
+      var group = report.groups[g];
+      var groupClone = groupTpl.content.cloneNode(true);
+      groupClone.querySelector('[data-breakdown-name]').textContent = group.name;
+      groupClone.querySelector('[data-breakdown-tokens]').textContent = formatTokens(group.tokens);
+      var fragmentsEl = groupClone.querySelector('[data-breakdown-fragments]');
+
+      for (var f = 0; f < group.fragments.length; f++) {
+        var fragment = group.fragments[f];
+        var fragmentClone = fragmentTpl.content.cloneNode(true);
+        var row = fragmentClone.querySelector('[data-breakdown-fragment]');
+        var tokensText = formatTokens(fragment.tokens);
+
+        if (fragment.cut) {
+          row.classList.add(fragment.cut.action);
+          tokensText = fragment.cut.action === 'dropped'
+            ? 'dropped (−' + formatTokens(fragment.cut.tokens) + ')'
+            : tokensText + ' compacted (−' + formatTokens(fragment.cut.tokens) + ')';
+        }
+
+        fragmentClone.querySelector('[data-breakdown-name]').textContent = fragment.id;
+        fragmentClone.querySelector('[data-breakdown-tokens]').textContent = tokensText;
+        fragmentsEl.appendChild(fragmentClone);
+      }
+
+      list.appendChild(groupClone);
+    }
+  }
+
+  /**
+   * Tells the user which fragments were dropped or compacted to fit.
+   */
+  _renderCutNotice(report) {
+    var notice = this.shadowRoot.querySelector('[data-cut-notice]');
+    if (!notice) {
+      return;
+    }
+
+    if (report.cuts.length === 0) {
+      notice.setAttribute('hidden', '');
+      notice.textContent = '';
+      return;
+    }
+
+    var dropped = report.cuts.filter(function (cut) { return cut.action === 'dropped'; });
+    var compacted = report.cuts.filter(function (cut) { return cut.action === 'compacted'; });
+    var parts = [];
+    var ids = function (cuts) { return cuts.map(function (cut) { return cut.id; }).join(', '); };
+
+    if (dropped.length > 0) {
+      parts.push('dropped ' + ids(dropped));
+    }
+    if (compacted.length > 0) {
+      parts.push('compacted ' + ids(compacted));
+    }
+
+    var text = 'Trimmed to fit the ' + formatTokens(report.budget) + ' token budget: ' + parts.join('; ') + '.';
+    if (report.total > report.budget) {
+      text += ' Still over budget after trimming.';
+    }
+
+    notice.textContent = text;
+    notice.removeAttribute('hidden');
+  }
+}
+
+customElements.define('token-meter', TokenMeter);
@@ -6,9 +6,11 @@
  */
 import { store } from '../../js/store.js';
 import { eventBus, NAVIGATE, TOAST_SHOW, OPTIONS_CHANGED, TECH_SELECTED, TECH_DESELECTED } from '../../js/event-bus.js';
-import { generate, generateInlineMode, generateCopyPasteMode } from '../../js/generator.js';
+import { generate, generateFiles, generateInlineMode, generateCopyPasteMode } from '../../js/generator.js';
 import { downloadZip } from '../../js/zip-builder.js';
 import { isAuthenticated } from '../../js/github-auth.js';
+import { getProjectStates } from '../../js/projects.js';
+import { findInvalidOptions } from '../../js/option-validation.js';
 
 export class WorkspaceView extends HTMLElement {
   constructor() {
@@ -59,10 +61,21 @@ export class WorkspaceView extends HTMLElement {
     var unsub4 = store.subscribe('localEdits', this._updatePreview.bind(this));
     this._unsubscribers.push(unsub4);
 
-    // Subscribe to filename changes
-    var unsub5 = store.subscribe('filename', this._updatePreview.bind(this));
+    // Subscribe to output target changes
+    var unsub5 = store.subscribe('outputTargets', this._updatePreview.bind(this));
     this._unsubscribers.push(unsub5);
 
+    var unsub6 = store.subscribe('customFilename', this._updatePreview.bind(this));
+    this._unsubscribers.push(unsub6);
+
+    // Subscribe to token budget changes
+    var unsub7 = store.subscribe('tokenBudget', this._updatePreview.bind(this));
+    this._unsubscribers.push(unsub7);
+
+    // Subscribe to table of contents toggle
+    var unsub8 = store.subscribe('includeToc', this._updatePreview.bind(this));
+    this._unsubscribers.push(unsub8);
+
     // Bind export buttons
     var copyBtn = this.shadowRoot.querySelector('[data-copy-btn]');
     if (copyBtn) {
@@ -96,13 +109,16 @@ export class WorkspaceView extends HTMLElement {
   }
 
   _updatePreview() {
-    var selectedIds = store.get('selectedTechIds') || [];
-    var fragments = store.get('fragments') || [];
     var emptyEl = this.shadowRoot.querySelector('[data-preview-empty]');
     var activeEl = this.shadowRoot.querySelector('[data-preview-active]');
     var codeEl = this.shadowRoot.querySelector('[data-markdown-code]');
 
-    if (selectedIds.length === 0 || fragments.length === 0) {
+    // In a monorepo the preview stays up while any project has a selection
+    var hasContent = getProjectStates().some(function (project) {
+      return project.selectedTechIds.length > 0 && project.fragments.length > 0;
+    });
+
+    if (!hasContent) {
       if (emptyEl) {
         emptyEl.removeAttribute('hidden');
       }
@@ -119,14 +135,49 @@ export class WorkspaceView extends HTMLElement {
       activeEl.removeAttribute('hidden');
     }
 
-    // Generate assembled markdown
-    var markdown = generate();
+    // Generate assembled output; multi-file formats are shown one after another
+    var files = generateFiles();
     if (codeEl) {
-      codeEl.textContent = markdown;
+      codeEl.textContent = files.length === 1
+        ? files[0].content
+        : files.map(function (file) { return '<!-- ' + file.path + ' -->\n' + file.content; }).join('\n');
+    }
+
+    this._syncExportButtons();
+  }
+
+  /**
+   * Disables the export buttons while any option value is invalid.
+   */
+  _syncExportButtons() {
+    var invalid = findInvalidOptions().length > 0;
+    var buttons = this.shadowRoot.querySelectorAll('[data-copy-btn], [data-download-btn], [data-github-btn]');
+    for (var i = 0; i < buttons.length; i++) {
+      if (invalid) {
+        buttons[i].setAttribute('disabled', '');
+      } else {
+        buttons[i].removeAttribute('disabled');
+      }
     }
   }
 
+  /**
+   * Whether every option value is valid. Shows an error toast otherwise.
+   * @returns {boolean}
+   */
+  _checkValid() {
+    var invalid = findInvalidOptions();
+    if (invalid.length === 0) {
+      return true;
+    }
+    eventBus.emit(TOAST_SHOW, { message: invalid[0].label + ': ' + invalid[0].message, type: 'error' });
+    return false;
+  }
+
   async _onCopy() {
+    if (!this._checkValid()) {
+      return;
+    }
     try {
       var markdown = generate();
       if (navigator.clipboard && navigator.clipboard.writeText) {
@@ -148,6 +199,9 @@ export class WorkspaceView extends HTMLElement {
   }
 
   async _onDownload() {
+    if (!this._checkValid()) {
+      return;
+    }
     try {
       generate();
       await downloadZip();
@@ -158,6 +212,9 @@ export class WorkspaceView extends HTMLElement {
   }
 
   _onGithub() {
+    if (!this._checkValid()) {
+      return;
+    }
     generate();
     eventBus.emit(NAVIGATE, '/github-commit');
   }
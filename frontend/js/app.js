@@ -11,6 +11,8 @@ import '../components/app-root/app-root.js';
 
 const COMPONENT_MODULES = [
   '../components/workspace/workspace.js',
+  '../components/session-import/session-import.js',
+  '../components/project-switcher/project-switcher.js',
   '../components/tech-catalog/tech-catalog.js',
   '../components/tech-card/tech-card.js',
   '../components/option-panel/option-panel.js',
@@ -18,6 +20,8 @@ const COMPONENT_MODULES = [
   '../components/template-preview/template-preview.js',
   '../components/delivery-options/delivery-options.js',
   '../components/filename-selector/filename-selector.js',
+  '../components/token-meter/token-meter.js',
+  '../components/outline-status/outline-status.js',
   '../components/github-commit/github-commit.js',
   '../components/contribution-modal/contribution-modal.js',
   '../components/step-wizard/step-wizard.js',
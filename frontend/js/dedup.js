@@ -0,0 +1,154 @@
+/**
+ * Cross-fragment duplicate detection.
+ * When several technologies cover the same ground, nearly identical bullets
+ * end up in more than one fragment. Bullets are compared by their content
+ * words, ignoring case, punctuation, markdown emphasis, common filler words
+ * and plural endings; each duplicate is kept once, in the fragment with the
+ * higher priority (the earlier one on a tie). Fragments the user edited
+ * never lose bullets: the user's text wins over the library's.
+ */
+import { getFragmentPriority } from './token-budget.js';
+
+/** Share of distinct words two bullets must have in common to count as duplicates. */
+const SIMILARITY_THRESHOLD = 0.65;
+
+/** Bullets with fewer content words than this only match when identical. */
+const MIN_FUZZY_WORDS = 4;
+
+/** Words that carry no meaning of their own when comparing bullets. */
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'at', 'by', 'with', 'as', 'from', 'into',
+  'is', 'are', 'be', 'it', 'its', 'this', 'that', 'these', 'those', 'use', 'using', 'your', 'all', 'each',
+]);
+
+/** Words that reverse a rule; bullets only match if both or neither contain one. */
+const NEGATIONS = new Set(['not', 'never', 'avoid', "don't", 'no', 'without']);
+
+/** Matches a top-level bullet line, capturing its text. */
+const BULLET_LINE = /^[-*+]\s+(.+)$/;
+
+/**
+ * Removes bullets that repeat a bullet of another fragment. A removed
+ * bullet takes its indented continuation lines with it.
+ * @param {Array} fragments - Fragments in document order.
+ * @param {Object} contents - Map of fragmentId -> content to render.
+ * @param {string[]} [editedIds] - Fragments with a local edit. Their bullets
+ *   always win over an unedited fragment's, and are never removed.
+ * @returns {{ contents: Object, duplicates: Array<{ id: string, keptIn: string, line: string }> }}
+ *   The contents with duplicates removed, and each removed bullet with the
+ *   fragment that kept it.
+ */
+export function removeDuplicateBullets(fragments, contents, editedIds = []) {
+  const bullets = [];
+  fragments.forEach((fragment) => {
+    const lines = (contents[fragment.id] !== undefined ? contents[fragment.id] : fragment.content).split('\n');
+    lines.forEach((line, index) => {
+      const match = line.match(BULLET_LINE);
+      if (match) {
+        bullets.push({
+          fragment,
+          index,
+          line,
+          words: toWords(match[1]),
+          priority: getFragmentPriority(fragment),
+        });
+      }
+    });
+  });
+
+  // Decide which bullets lose; a removed bullet can no longer win
+  const removed = new Map();
+  for (let i = 0; i < bullets.length; i++) {
+    for (let j = i + 1; j < bullets.length; j++) {
+      const a = bullets[i];
+      const b = bullets[j];
+      if (a.fragment.id === b.fragment.id || removed.has(a) || removed.has(b) || !isDuplicate(a.words, b.words)) {
+        continue;
+      }
+      const aEdited = editedIds.includes(a.fragment.id);
+      const bEdited = editedIds.includes(b.fragment.id);
+      if (aEdited && bEdited) {
+        continue;
+      }
+      const bWins = aEdited !== bEdited ? bEdited : b.priority > a.priority;
+      const [winner, loser] = bWins ? [b, a] : [a, b];
+      removed.set(loser, winner);
+    }
+  }
+
+  if (removed.size === 0) {
+    return { contents, duplicates: [] };
+  }
+
+  const result = Object.assign({}, contents);
+  const duplicates = [];
+
+  for (const fragment of fragments) {
+    const losers = [...removed.keys()].filter(b => b.fragment === fragment);
+    if (losers.length === 0) {
+      continue;
+    }
+
+    const lines = (contents[fragment.id] !== undefined ? contents[fragment.id] : fragment.content).split('\n');
+    const drop = new Set();
+    for (const loser of losers) {
+      drop.add(loser.index);
+      for (let k = loser.index + 1; k < lines.length && /^\s+\S/.test(lines[k]); k++) {
+        drop.add(k);
+      }
+      duplicates.push({ id: fragment.id, keptIn: removed.get(loser).fragment.id, line: loser.line });
+    }
+
+    result[fragment.id] = lines.filter((_, index) => !drop.has(index)).join('\n');
+  }
+
+  return { contents: result, duplicates };
+}
+
+/**
+ * Whether two bullets say the same thing: identical word sequences, or
+ * long enough and sharing nearly all their distinct words.
+ * @param {string[]} a - Words of the first bullet.
+ * @param {string[]} b - Words of the second bullet.
+ * @returns {boolean}
+ */
+function isDuplicate(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return false;
+  }
+  if (a.join(' ') === b.join(' ')) {
+    return true;
+  }
+  if (a.length < MIN_FUZZY_WORDS || b.length < MIN_FUZZY_WORDS) {
+    return false;
+  }
+  if (a.some(word => NEGATIONS.has(word)) !== b.some(word => NEGATIONS.has(word))) {
+    return false;
+  }
+
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let shared = 0;
+  for (const word of setA) {
+    if (setB.has(word)) {
+      shared++;
+    }
+  }
+  return shared / (setA.size + setB.size - shared) >= SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Splits bullet text into lowercase content words, dropping markdown,
+ * punctuation, stop words and plural or possessive endings.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/[`*_~[\]()]/g, ' ')
+    .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^['-]+|['-]+$/g, '').replace(/'s$/, '').replace(/(?<=\w{3})s$/, ''))
+    .filter(word => word && !STOP_WORDS.has(word));
+}
@@ -0,0 +1,417 @@
+/**
+ * Merging of template files that target the same output path.
+ * When several technologies contribute to one file, e.g. services in
+ * `docker-compose.yml` or keys in `.env.example`, their rendered pieces are
+ * combined with the strategy the templates declare (`merge` in meta.json):
+ *
+ * - `yaml`, `json`, `toml`: parsed and deep-merged. Mappings and tables are
+ *   merged key by key, lists are concatenated without repeating items, and
+ *   for any other value the later piece wins. YAML keeps the first piece's
+ *   key order and places new keys among them. Comments are not kept.
+ * - `append`: pieces are concatenated, separated by a blank line.
+ * - `section-append`: pieces are split at section headers (markdown
+ *   headings or `[section]` lines); a section that several pieces share is
+ *   written once with their lines in order, new sections follow.
+ *
+ * Without a declared strategy one is inferred from the file extension,
+ * falling back to `append`. A piece that cannot be parsed makes the file
+ * fall back to `append` too, and the reason is returned with the content.
+ */
+
+/** Merge strategies by name. */
+const STRATEGIES = {
+  yaml: pieces => serializeYaml(pieces.map(parseYaml).reduce(mergeYaml)),
+  json: pieces => JSON.stringify(pieces.map(piece => JSON.parse(piece)).reduce(mergeJson), null, 2) + '\n',
+  toml: pieces => serializeToml(pieces.map(parseToml).reduce(mergeToml)),
+  append: pieces => pieces.map(piece => piece.replace(/\s+$/, '')).join('\n\n') + '\n',
+  'section-append': pieces => mergeSections(pieces),
+};
+
+/** Matches a section header for `section-append`. */
+const SECTION_HEADER = /^(#{1,6} \S.*|\[[^\]]+\])\s*$/;
+
+/**
+ * Combines the contents of several pieces of one file.
+ * @param {string} path - Output path, used to infer a strategy.
+ * @param {string[]} pieces - Rendered contents, in contribution order.
+ * @param {string} [strategy] - Declared strategy; inferred if missing.
+ * @returns {{ content: string, warning: string|null }} The merged content,
+ *   and why the pieces were appended instead if the strategy failed.
+ */
+export function mergeFileContents(path, pieces, strategy) {
+  if (pieces.length === 1) {
+    return { content: pieces[0], warning: null };
+  }
+
+  const name = STRATEGIES[strategy] ? strategy : inferStrategy(path);
+  try {
+    return { content: STRATEGIES[name](pieces), warning: null };
+  } catch (err) {
+    return { content: STRATEGIES.append(pieces), warning: `Could not ${name}-merge ${path}, appended instead: ${err.message}` };
+  }
+}
+
+/**
+ * Picks a strategy from a file's extension.
+ * @param {string} path
+ * @returns {string}
+ */
+function inferStrategy(path) {
+  const extension = (path.match(/\.([^./]+)$/) || [])[1] || '';
+  switch (extension.toLowerCase()) {
+    case 'yml':
+    case 'yaml':
+      return 'yaml';
+    case 'json':
+      return 'json';
+    case 'toml':
+      return 'toml';
+    case 'md':
+      return 'section-append';
+    default:
+      return 'append';
+  }
+}
+
+/**
+ * Deep-merges two JSON values.
+ * @param {*} a
+ * @param {*} b
+ * @returns {*}
+ */
+function mergeJson(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const seen = new Set(a.map(item => JSON.stringify(item)));
+    return [...a, ...b.filter(item => !seen.has(JSON.stringify(item)))];
+  }
+  if (isObject(a) && isObject(b)) {
+    const result = Object.assign({}, a);
+    for (const [key, value] of Object.entries(b)) {
+      result[key] = key in result ? mergeJson(result[key], value) : value;
+    }
+    return result;
+  }
+  return b;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parses block-style YAML into map, seq and scalar nodes. Scalars keep
+ * their source text, so quoting and flow collections survive a round trip;
+ * `|` and `>` block scalars keep their lines. Anchors, tags and multiple
+ * documents are not supported.
+ * @param {string} text
+ * @returns {Object} The root node.
+ * @throws {Error} If the indentation is inconsistent.
+ */
+function parseYaml(text) {
+  const lines = [];
+  for (const raw of text.split('\n')) {
+    const content = raw.trim();
+    if (content === '' || content.startsWith('#') || content === '---') {
+      continue;
+    }
+    lines.push({ indent: raw.length - raw.trimStart().length, text: raw.trimEnd().trimStart(), raw });
+  }
+
+  let index = 0;
+  const isItem = line => line.text === '-' || line.text.startsWith('- ');
+
+  const parseNode = (indent) => (isItem(lines[index]) ? parseSeq(indent) : parseMap(indent));
+
+  const parseMap = (indent) => {
+    const node = { type: 'map', entries: new Map() };
+    while (index < lines.length && lines[index].indent === indent && !isItem(lines[index])) {
+      const match = lines[index].text.match(/^("[^"]*"|'[^']*'|[^:#]+?):(?:\s+(.*))?$/);
+      if (!match) {
+        throw new Error(`Cannot read "${lines[index].text}"`);
+      }
+      const [, key, value = ''] = match;
+      index++;
+
+      if (/^[|>][-+]?$/.test(value)) {
+        const block = [];
+        while (index < lines.length && lines[index].indent > indent) {
+          block.push(lines[index].raw);
+          index++;
+        }
+        node.entries.set(key, { type: 'scalar', raw: value, block });
+      } else if (value !== '') {
+        node.entries.set(key, { type: 'scalar', raw: value });
+      } else if (index < lines.length && lines[index].indent > indent) {
+        node.entries.set(key, parseNode(lines[index].indent));
+      } else if (index < lines.length && lines[index].indent === indent && isItem(lines[index])) {
+        node.entries.set(key, parseSeq(indent));
+      } else {
+        node.entries.set(key, { type: 'scalar', raw: '' });
+      }
+    }
+    if (index < lines.length && lines[index].indent > indent) {
+      throw new Error(`Unexpected indentation at "${lines[index].text}"`);
+    }
+    return node;
+  };
+
+  const parseSeq = (indent) => {
+    const node = { type: 'seq', items: [] };
+    while (index < lines.length && lines[index].indent === indent && isItem(lines[index])) {
+      const rest = lines[index].text.slice(1).trim();
+      if (/^("[^"]*"|'[^']*'|[^:#"'[{]+?):(\s|$)/.test(rest)) {
+        // A mapping inside the list: continue it as if its first key were on its own line
+        lines[index] = { indent: indent + 2, text: rest, raw: ' '.repeat(indent + 2) + rest };
+        node.items.push(parseMap(indent + 2));
+      } else {
+        index++;
+        node.items.push({ type: 'scalar', raw: rest });
+      }
+    }
+    return node;
+  };
+
+  return lines.length === 0 ? { type: 'map', entries: new Map() } : parseNode(lines[0].indent);
+}
+
+/**
+ * Deep-merges two YAML nodes. Mappings keep the keys of `a` in order; a key
+ * only `b` has goes before the next key both share, as it does in `b`, so
+ * e.g. a later `version:` still lands above `services:`.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function mergeYaml(a, b) {
+  if (a.type === 'map' && b.type === 'map') {
+    const keys = [...a.entries.keys()];
+    let pending = [];
+    for (const key of b.entries.keys()) {
+      if (a.entries.has(key)) {
+        keys.splice(keys.indexOf(key), 0, ...pending);
+        pending = [];
+      } else {
+        pending.push(key);
+      }
+    }
+    keys.push(...pending);
+
+    const entries = new Map();
+    for (const key of keys) {
+      const value = a.entries.has(key) && b.entries.has(key)
+        ? mergeYaml(a.entries.get(key), b.entries.get(key))
+        : a.entries.has(key) ? a.entries.get(key) : b.entries.get(key);
+      entries.set(key, value);
+    }
+    return { type: 'map', entries };
+  }
+  if (a.type === 'seq' && b.type === 'seq') {
+    const seen = new Set(a.items.map(item => serializeYaml(item)));
+    return { type: 'seq', items: [...a.items, ...b.items.filter(item => !seen.has(serializeYaml(item)))] };
+  }
+  return b;
+}
+
+/**
+ * Writes a YAML node back out with two-space indentation.
+ * @param {Object} node
+ * @param {number} [indent]
+ * @returns {string}
+ */
+function serializeYaml(node, indent = 0) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  if (node.type === 'map') {
+    for (const [key, value] of node.entries) {
+      // Separate top-level sections, e.g. `services:` and `volumes:`
+      if (indent === 0 && lines.length > 0 && value.type !== 'scalar') {
+        lines.push('');
+      }
+      if (value.type === 'scalar') {
+        lines.push(value.raw === '' ? `${pad}${key}:` : `${pad}${key}: ${value.raw}`);
+        if (value.block) {
+          const blockIndent = Math.min(...value.block.filter(l => l.trim()).map(l => l.length - l.trimStart().length));
+          lines.push(...value.block.map(l => pad + '  ' + l.slice(blockIndent)));
+        }
+      } else if ((value.type === 'map' && value.entries.size === 0) || (value.type === 'seq' && value.items.length === 0)) {
+        lines.push(`${pad}${key}: ${value.type === 'map' ? '{}' : '[]'}`);
+      } else {
+        lines.push(`${pad}${key}:`);
+        lines.push(serializeYaml(value, indent + 2).replace(/\n$/, ''));
+      }
+    }
+  } else if (node.type === 'seq') {
+    for (const item of node.items) {
+      if (item.type === 'scalar') {
+        lines.push(`${pad}- ${item.raw}`);
+      } else {
+        const nested = serializeYaml(item, indent + 2).replace(/\n$/, '');
+        lines.push(`${pad}- ${nested.slice(indent + 2)}`);
+      }
+    }
+  } else {
+    lines.push(pad + node.raw);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses TOML into root keys and tables. Values keep their source text,
+ * including arrays, inline tables and strings spanning several lines.
+ * @param {string} text
+ * @returns {{ root: Map<string, string>, tables: Array<{ header: string, array: boolean, keys: Map<string, string> }> }}
+ * @throws {Error} If a line is neither a header nor a key/value pair.
+ */
+function parseToml(text) {
+  const doc = { root: new Map(), tables: [] };
+  let keys = doc.root;
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '' || line.startsWith('#')) {
+      continue;
+    }
+
+    const header = line.match(/^(\[\[?)\s*([^\]]+?)\s*\]\]?$/);
+    if (header) {
+      keys = new Map();
+      doc.tables.push({ header: header[2], array: header[1] === '[[', keys });
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z0-9_."'-]+?)\s*=\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Cannot read "${line}"`);
+    }
+
+    // A value continues onto the next lines until its brackets and strings close
+    let value = pair[2];
+    while (!isTomlValueComplete(value) && i + 1 < lines.length) {
+      value += '\n' + lines[++i];
+    }
+    keys.set(pair[1], value);
+  }
+
+  return doc;
+}
+
+/**
+ * Whether a TOML value's brackets and multi-line strings are closed.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isTomlValueComplete(value) {
+  if ((value.match(/"""/g) || []).length % 2 === 1 || (value.match(/'''/g) || []).length % 2 === 1) {
+    return false;
+  }
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#') {
+      break;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+/**
+ * Merges two parsed TOML documents: keys of the same table are merged,
+ * the later value winning; array tables (`[[name]]`) are all kept.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function mergeToml(a, b) {
+  const result = {
+    root: new Map([...a.root, ...b.root]),
+    tables: a.tables.map(table => Object.assign({}, table, { keys: new Map(table.keys) })),
+  };
+  for (const table of b.tables) {
+    const existing = !table.array && result.tables.find(t => !t.array && t.header === table.header);
+    if (existing) {
+      for (const [key, value] of table.keys) {
+        existing.keys.set(key, value);
+      }
+    } else {
+      result.tables.push(table);
+    }
+  }
+  return result;
+}
+
+/**
+ * Writes a parsed TOML document back out.
+ * @param {Object} doc
+ * @returns {string}
+ */
+function serializeToml(doc) {
+  const blocks = [];
+  if (doc.root.size > 0) {
+    blocks.push([...doc.root].map(([key, value]) => `${key} = ${value}`).join('\n'));
+  }
+  for (const table of doc.tables) {
+    const header = table.array ? `[[${table.header}]]` : `[${table.header}]`;
+    blocks.push([header, ...[...table.keys].map(([key, value]) => `${key} = ${value}`)].join('\n'));
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Merges pieces section by section for `section-append`.
+ * @param {string[]} pieces
+ * @returns {string}
+ */
+function mergeSections(pieces) {
+  const sections = new Map();
+
+  for (const piece of pieces) {
+    let current = '';
+    for (const line of piece.replace(/\s+$/, '').split('\n')) {
+      if (SECTION_HEADER.test(line)) {
+        current = line.trim();
+        if (!sections.has(current)) {
+          sections.set(current, []);
+        }
+        continue;
+      }
+      if (!sections.has(current)) {
+        sections.set(current, []);
+      }
+      sections.get(current).push(line);
+    }
+  }
+
+  const blocks = [];
+  for (const [header, lines] of sections) {
+    const body = lines.join('\n').replace(/^\n+|\n+$/g, '').replace(/\n{3,}/g, '\n\n');
+    if (header === '') {
+      if (body) {
+        blocks.push(body);
+      }
+    } else {
+      const separator = header.startsWith('#') ? '\n\n' : '\n';
+      blocks.push(body ? header + separator + body : header);
+    }
+  }
+  return blocks.join('\n\n') + '\n';
+}
@@ -3,29 +3,287 @@
  * Generates the final output file from selected technologies, options, and fragments.
  */
 import { store } from './store.js';
+import { getProjectStates, PROJECT_VARIABLES } from './projects.js';
+import { estimateTokens, trimToBudget } from './token-budget.js';
+import { createProvenance, formatProvenanceComment } from './provenance.js';
+import { wrapManagedRegion } from './managed-region.js';
+import { normalizeHeadings, buildTableOfContents, findHeadingJumps } from './outline.js';
+import { removeDuplicateBullets } from './dedup.js';
+import { mergeFileContents } from './file-merge.js';
+import { render, renderStrict, createContext, getEscaper, escapeMarkdown } from './template-engine.js';
+import { getActiveCombinations } from './prompt-loader.js';
+
+/** Document title of the Copilot instructions file. */
+const COPILOT_TITLE = 'Copilot Instructions';
+
+/** Document title of the overview file in the Cursor, Windsurf and Cline rule sets. */
+const RULES_TITLE = 'Project';
+
+/**
+ * Output targets the user can tick in the filename selector. Each target has
+ * its own renderer returning the files it contributes; single-file markdown
+ * targets also expose `getFilename()`. Targets marked `nested` are also
+ * written inside each monorepo sub-project directory. `title` is the
+ * document title the target writes, for mapping an imported file back;
+ * the custom target's title is its filename.
+ */
+export const OUTPUT_TARGETS = [
+  markdownTarget('agents-md', 'AGENTS.md', () => 'AGENTS.md', 'AGENTS'),
+  markdownTarget('claude-md', 'CLAUDE.md', () => 'CLAUDE.md', 'CLAUDE'),
+  { id: 'copilot', label: 'GitHub Copilot', title: COPILOT_TITLE, render: generateCopilotInstructions },
+  { id: 'cursor', label: 'Cursor rules', title: RULES_TITLE, nested: true, render: generateCursorRules },
+  { id: 'windsurf', label: 'Windsurf rules', title: RULES_TITLE, render: generateWindsurfRules },
+  { id: 'cline', label: 'Cline rules', title: RULES_TITLE, render: generateClineRules },
+  markdownTarget('custom', 'Custom file', () => store.get('customFilename') || 'AGENTS.md', null),
+];
 
 /**
  * Generates the main markdown file from current store state.
- * Assembles header, sorts and filters fragments, applies local edits.
+ * Assembles header, sorts and filters fragments, applies local edits,
+ * and adds a table of contents when `includeToc` is set.
+ * @param {string} [filename] - Output filename used as the document title.
+ *   Defaults to the primary markdown target's filename.
+ * @param {Object} [state] - Generation state (see readState()). When omitted,
+ *   the live store state is used, a provenance record is embedded and
+ *   `generatedMarkdown`, `tokenReport`, `outlineReport` and
+ *   `duplicateReport` are updated. The provenance comment is not counted
+ *   toward the token budget or the reported total.
  * @returns {string} The assembled markdown content.
  */
-export function generate() {
-  const selectedTechIds = store.get('selectedTechIds') || [];
-  const options = store.get('options') || {};
-  const fragments = store.get('fragments') || [];
+export function generate(filename, state) {
+  const generationState = state || readState();
+  const { selectedTechIds, options, projectVariables, technologies, subprojects, tokenBudget, includeToc } = generationState;
+  const title = filename || getPrimaryFilename();
+  const provenance = state ? state.provenance : formatProvenanceComment(buildProvenance());
+
+  const header = buildHeader(selectedTechIds, options, technologies, title, subprojects, projectVariables);
+  const prepared = prepareFragments(generationState, header, includeToc);
+  const body = assembleBody(prepared.grouped, prepared.contents, technologies);
+  const toc = includeToc ? buildTableOfContents(body) : '';
+  const markdown = [header, toc, body].filter(Boolean).join('\n\n');
+  const result = provenance ? markdown + '\n\n' + provenance : markdown;
+
+  if (!state) {
+    store.set('generatedMarkdown', result);
+    store.set('tokenReport', buildTokenReport(prepared, technologies, markdown, tokenBudget));
+    store.set('outlineReport', { jumps: findHeadingJumps(result) });
+    store.set('duplicateReport', prepared.duplicates);
+  }
+  return result;
+}
+
+/**
+ * Returns the output targets currently ticked, in registry order.
+ * @returns {Array<Object>}
+ */
+export function getSelectedTargets() {
+  const targetIds = store.get('outputTargets') || [];
+  const selected = OUTPUT_TARGETS.filter(t => targetIds.includes(t.id));
+  return selected.length > 0 ? selected : [OUTPUT_TARGETS[0]];
+}
+
+/**
+ * Returns the filename of the first ticked single-file markdown target, for
+ * modes that can only deliver one markdown file (inline, copy-paste).
+ * @returns {string}
+ */
+export function getPrimaryFilename() {
+  const primary = getSelectedTargets().find(t => t.getFilename);
+  return primary ? primary.getFilename() : 'AGENTS.md';
+}
+
+/**
+ * Returns a short human-readable description of the ticked targets,
+ * e.g. "AGENTS.md" or "AGENTS.md + Cursor rules".
+ * @returns {string}
+ */
+export function describeSelectedTargets() {
+  return getSelectedTargets()
+    .map(t => (t.getFilename ? t.getFilename() : t.label))
+    .join(' + ');
+}
+
+/**
+ * Generates every output file for all ticked targets from one selection.
+ * In monorepo mode the root project gets every target plus a project index,
+ * and each sub-project gets the nested targets inside its own directory.
+ * Root markdown files embed the provenance record of the whole session.
+ * When two targets produce the same path, the first one wins.
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export function generateFiles() {
+  const projects = getProjectStates();
+  const targets = getSelectedTargets();
   const localEdits = store.get('localEdits') || {};
-  const filename = store.get('filename') || 'AGENTS.md';
   const technologies = store.get('technologies') || [];
+  const files = [];
+  const seenPaths = new Set();
 
-  const header = buildHeader(selectedTechIds, options, technologies, filename);
-  const filtered = filterFragments(fragments, options);
-  const sorted = sortFragments(filtered);
-  const grouped = groupByTechnology(sorted);
-  const body = assembleBody(grouped, localEdits, technologies);
-  const result = header + '\n\n' + body;
+  const nestedTargets = targets.filter(t => t.nested);
+  const subprojects = projects.filter(p => p.path);
+  const provenance = formatProvenanceComment(buildProvenance());
 
-  store.set('generatedMarkdown', result);
-  return result;
+  for (const project of projects) {
+    const state = {
+      selectedTechIds: project.selectedTechIds || [],
+      options: project.options || {},
+      projectVariables: project.projectVariables || {},
+      fragments: project.fragments || [],
+      localEdits,
+      technologies,
+      subprojects: project.path ? [] : subprojects,
+      tokenBudget: store.get('tokenBudget') || 0,
+      includeToc: store.get('includeToc') || false,
+      provenance: project.path ? null : provenance,
+    };
+    const projectTargets = project.path
+      ? (nestedTargets.length > 0 ? nestedTargets : [OUTPUT_TARGETS[0]])
+      : targets;
+
+    for (const target of projectTargets) {
+      for (const file of target.render(state)) {
+        const path = project.path + file.path;
+        if (!seenPaths.has(path)) {
+          seenPaths.add(path);
+          files.push({ path, content: file.content });
+        }
+      }
+    }
+  }
+
+  // Keep generatedMarkdown pointing at the primary markdown document
+  generate();
+  return files;
+}
+
+/**
+ * Builds the provenance record for the current session: every project's
+ * selection and options, the fragments included with their versions, the
+ * library revision and local edits. Importing it restores the session.
+ * @returns {Object}
+ */
+export function buildProvenance() {
+  const projects = getProjectStates().map(project => Object.assign({}, project, {
+    fragments: filterFragments(project.fragments || [], project.options || {}, project.selectedTechIds || []),
+  }));
+
+  return createProvenance(projects, {
+    localEdits: store.get('localEdits'),
+    outputTargets: store.get('outputTargets'),
+    customFilename: store.get('customFilename'),
+    tokenBudget: store.get('tokenBudget'),
+    includeToc: store.get('includeToc'),
+    library: store.get('library'),
+  });
+}
+
+/**
+ * Returns the sections of a generated document in order: each technology
+ * group with its `## <Technology>` heading (null for general fragments),
+ * the fragments it contains after option filtering, their rendered content
+ * with duplicate bullets removed, and the level their top heading is
+ * normalized to.
+ * @param {Array} fragments
+ * @param {Object} options
+ * @param {Array} technologies
+ * @param {Object} [projectVariables]
+ * @param {string[]} [selectedTechIds] - For `selected` dependencies.
+ * @returns {Array<{ heading: ?string, fragments: Array, contents: Object, level: number }>}
+ */
+export function getDocumentLayout(fragments, options, technologies, projectVariables, selectedTechIds) {
+  const grouped = groupByTechnology(sortFragments(filterFragments(fragments, options, selectedTechIds)));
+  const documentOrder = [...grouped.values()].flat();
+  const rendered = {};
+  for (const fragment of documentOrder) {
+    rendered[fragment.id] = renderFragment(fragment, fragment.content, options, projectVariables);
+  }
+  const { contents } = removeDuplicateBullets(documentOrder, rendered);
+  return [...grouped].map(([techId, group]) => ({
+    heading: techId === '_general' ? null : `## ${getGroupName(techId, technologies)}`,
+    fragments: group,
+    contents: Object.fromEntries(group.map(f => [f.id, contents[f.id]])),
+    level: getFragmentHeadingLevel(techId),
+  }));
+}
+
+/**
+ * Generates a `.cursor/rules/` rule set: a project overview rule carrying the
+ * header, plus one `.mdc` file per technology group with Cursor frontmatter.
+ * Groups whose technology declares `globs` are auto-attached to matching files;
+ * the rest are always applied.
+ * @param {Object} [state] - Generation state; defaults to the live store.
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export function generateCursorRules(state) {
+  return generateRuleFiles('.cursor/rules/', '.mdc', (description, globs) => [
+    `description: ${description}`,
+    `globs: ${globs.join(',')}`.trimEnd(),
+    `alwaysApply: ${globs.length === 0}`,
+  ], state);
+}
+
+/**
+ * Generates a `.windsurf/rules/` rule set, one markdown file per technology
+ * group. Groups with `globs` use the glob trigger; the rest are always on.
+ * @param {Object} [state] - Generation state; defaults to the live store.
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export function generateWindsurfRules(state) {
+  return generateRuleFiles('.windsurf/rules/', '.md', (description, globs) => (
+    globs.length > 0
+      ? ['trigger: glob', `description: ${description}`, `globs: ${globs.join(',')}`]
+      : ['trigger: always_on', `description: ${description}`]
+  ), state);
+}
+
+/**
+ * Generates a `.clinerules/` directory, one plain markdown file per
+ * technology group. Cline loads every file in the directory.
+ * @param {Object} [state] - Generation state; defaults to the live store.
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export function generateClineRules(state) {
+  return generateRuleFiles('.clinerules/', '.md', null, state);
+}
+
+/**
+ * Generates GitHub Copilot custom instructions. Fragments of technologies
+ * that declare `globs` go to `.github/instructions/<tech>.instructions.md`
+ * with an `applyTo:` pattern; everything else, including the header and
+ * combination guidance, goes to `.github/copilot-instructions.md`.
+ * @param {Object} [state] - Generation state; defaults to the live store.
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export function generateCopilotInstructions(state) {
+  const generationState = state || readState();
+  const { selectedTechIds, options, projectVariables, technologies, subprojects } = generationState;
+
+  const header = buildHeader(selectedTechIds, options, technologies, COPILOT_TITLE, subprojects, projectVariables);
+  const { grouped, contents } = prepareFragments(generationState, header);
+
+  const generalGroups = new Map();
+  const scopedFiles = [];
+
+  for (const [techId, group] of grouped) {
+    const globs = getTechnologyGlobs(techId, technologies);
+    if (globs.length === 0) {
+      generalGroups.set(techId, group);
+      continue;
+    }
+
+    const body = assembleBody(new Map([[techId, group]]), contents, technologies);
+    scopedFiles.push({
+      path: `.github/instructions/${techId}.instructions.md`,
+      content: withFrontmatter([`applyTo: "${globs.join(',')}"`], body),
+    });
+  }
+
+  const generalBody = assembleBody(generalGroups, contents, technologies);
+
+  return [
+    { path: '.github/copilot-instructions.md', content: wrapManagedRegion(generalBody ? header + '\n\n' + generalBody : header) },
+    ...scopedFiles,
+  ];
 }
 
 /**
@@ -35,11 +293,10 @@ export function generate() {
  */
 export function generateInlineMode() {
   const markdown = generate();
-  const templateFiles = store.get('templateFiles') || [];
-  const options = store.get('options') || {};
+  const templateFiles = assembleTemplateFiles(store.get('templateFiles') || [], store.get('options') || {}, store.get('projectVariables') || {}, store.get('selectedTechIds') || []);
 
   if (templateFiles.length === 0) {
-    return markdown;
+    return wrapManagedRegion(markdown);
   }
 
   const lines = [
@@ -53,19 +310,18 @@ export function generateInlineMode() {
     '',
   ];
 
-  for (const template of templateFiles) {
-    const interpolatedContent = interpolateSimple(template.content, options);
-    lines.push(`### \`${template.outputPath}\``);
+  for (const file of templateFiles) {
+    lines.push(`### \`${file.path}\``);
     lines.push('');
-    lines.push('```' + getFileExtension(template.outputPath));
-    lines.push(interpolatedContent);
+    lines.push('```' + getFileExtension(file.path));
+    lines.push(file.content);
     lines.push('```');
     lines.push('');
   }
 
   const result = lines.join('\n');
   store.set('generatedMarkdown', result);
-  return result;
+  return wrapManagedRegion(result);
 }
 
 /**
@@ -76,44 +332,33 @@ export function generateInlineMode() {
 export function generateCopyPasteMode() {
   const selectedTechIds = store.get('selectedTechIds') || [];
   const technologies = store.get('technologies') || [];
-  const templateFiles = store.get('templateFiles') || [];
-  const options = store.get('options') || {};
-  const filename = store.get('filename') || 'AGENTS.md';
+  const templateFiles = assembleTemplateFiles(store.get('templateFiles') || [], store.get('options') || {}, store.get('projectVariables') || {}, selectedTechIds);
 
+  const options = store.get('options') || {};
   const selectedTechs = technologies.filter(t => selectedTechIds.includes(t.id));
-  const techNames = selectedTechs.map(t => t.name).join(', ');
+  const techNames = selectedTechs.map(t => getTechDisplayName(t, options)).join(', ');
 
-  const markdown = generate();
+  const outputFiles = generateFiles();
 
   const lines = [
     'I need you to set up the following files in my project.',
     '',
     `Technologies: ${techNames}`,
     '',
-    `## File 1: \`${filename}\``,
-    '',
-    'Create this file with the following content:',
-    '',
-    '````markdown',
-    markdown,
-    '````',
-    '',
   ];
 
-  if (templateFiles.length > 0) {
-    let fileIndex = 2;
-    for (const template of templateFiles) {
-      const interpolatedContent = interpolateSimple(template.content, options);
-      lines.push(`## File ${fileIndex}: \`${template.outputPath}\``);
-      lines.push('');
-      lines.push('Create this file with the following content:');
-      lines.push('');
-      lines.push('```' + getFileExtension(template.outputPath));
-      lines.push(interpolatedContent);
-      lines.push('```');
-      lines.push('');
-      fileIndex++;
-    }
+  let fileIndex = 1;
+  for (const file of [...outputFiles, ...templateFiles]) {
+    const fence = getFence(file.content);
+    lines.push(`## File ${fileIndex}: \`${file.path}\``);
+    lines.push('');
+    lines.push('Create this file with the following content:');
+    lines.push('');
+    lines.push(fence + getFileExtension(file.path));
+    lines.push(file.content);
+    lines.push(fence);
+    lines.push('');
+    fileIndex++;
   }
 
   lines.push('Please create all of the above files in the project root directory.');
@@ -124,16 +369,274 @@ export function generateCopyPasteMode() {
 }
 
 /**
- * Builds the header section of the generated markdown.
+ * Renders the template files whose option dependencies are met: output
+ * paths and contents are evaluated against the template's technology
+ * options and the project variables, with values in the contents escaped
+ * for the file's type. Raw files (not `.tmpl`) are copied unchanged.
+ * @param {Array} templateFiles - Templates as loaded by loadTemplates().
+ * @param {Object} options
+ * @param {Object} [projectVariables]
+ * @param {string[]} [selectedTechIds] - For `selected` dependencies.
+ * @returns {Array<{ path: string, content: string, unresolved: string[], template: Object }>}
+ *   `unresolved` lists placeholders left in the path or content.
+ */
+export function renderTemplates(templateFiles, options, projectVariables, selectedTechIds) {
+  return templateFiles
+    .filter(template => dependenciesMet(template.optionDependencies, template.technology, options, selectedTechIds))
+    .map((template) => {
+      const context = createContext(options, template.technology, projectVariables);
+      const path = renderStrict(template.outputPath, context);
+      const body = template.raw
+        ? { content: template.content, unresolved: [] }
+        : renderStrict(template.content, context, { escape: getEscaper(path.content) });
+      return {
+        path: path.content,
+        content: body.content,
+        unresolved: [...new Set([...path.unresolved, ...body.unresolved])],
+        template,
+      };
+    });
+}
+
+/**
+ * Renders the included template files like renderTemplates() and combines
+ * those that target the same path into one file, using the merge strategy
+ * the templates declare (`file-merge.js`).
+ * @param {Array} templateFiles - Templates as loaded by loadTemplates().
+ * @param {Object} options
+ * @param {Object} [projectVariables]
+ * @param {string[]} [selectedTechIds] - For `selected` dependencies.
+ * @returns {Array<{ path: string, content: string, unresolved: string[], warning: string|null }>}
+ *   One entry per output path, in order of first contribution. `warning`
+ *   says why the pieces were appended if their merge strategy failed.
+ */
+export function assembleTemplateFiles(templateFiles, options, projectVariables, selectedTechIds) {
+  const byPath = new Map();
+  for (const file of renderTemplates(templateFiles, options, projectVariables, selectedTechIds)) {
+    if (!byPath.has(file.path)) {
+      byPath.set(file.path, []);
+    }
+    byPath.get(file.path).push(file);
+  }
+
+  return [...byPath].map(([path, pieces]) => {
+    const declared = pieces.find(piece => piece.template.merge);
+    const merged = mergeFileContents(path, pieces.map(piece => piece.content), declared && declared.template.merge);
+    return {
+      path,
+      content: merged.content,
+      unresolved: [...new Set(pieces.flatMap(piece => piece.unresolved))],
+      warning: merged.warning,
+    };
+  });
+}
+
+/**
+ * Lists the environment variables the selected technologies declare in
+ * `meta.json` `env`, in selection order. Entries whose option dependencies
+ * are not met are skipped, and the first entry for a name wins, so a
+ * technology can list alternatives for different options. An entry marked
+ * `fallback` only wins when no other technology lists the name, so a
+ * database technology's `DATABASE_URL` replaces a framework's default.
+ * Examples are rendered against the technology's options, e.g. `{{database-name}}`.
+ * @param {string[]} selectedTechIds
+ * @param {Object} options
+ * @param {Array} technologies
+ * @param {Object} [projectVariables]
+ * @returns {Array<{ name: string, description: string, example: string, technology: string }>}
+ */
+export function collectEnvironmentVariables(selectedTechIds, options, technologies, projectVariables) {
+  const candidates = [];
+  const chosen = new Map();
+
+  for (const techId of selectedTechIds) {
+    const tech = technologies.find(t => t.id === techId);
+    for (const entry of (tech && tech.env) || []) {
+      if (!dependenciesMet(entry.optionDependencies, techId, options, selectedTechIds)) {
+        continue;
+      }
+      const candidate = { entry, techId };
+      const current = chosen.get(entry.name);
+      if (!current || (current.entry.fallback && !entry.fallback)) {
+        chosen.set(entry.name, candidate);
+      }
+      candidates.push(candidate);
+    }
+  }
+
+  return candidates
+    .filter(candidate => chosen.get(candidate.entry.name) === candidate)
+    .map(({ entry, techId }) => ({
+      name: entry.name,
+      description: entry.description || '',
+      example: render(entry.example || '', createContext(options, techId, projectVariables)),
+      technology: techId,
+    }));
+}
+
+/**
+ * Reads the generation state for the active project from the store.
+ * @returns {{ selectedTechIds: string[], options: Object, projectVariables: Object, fragments: Array, localEdits: Object, technologies: Array, subprojects: Array, tokenBudget: number }}
+ */
+function readState() {
+  return {
+    selectedTechIds: store.get('selectedTechIds') || [],
+    options: store.get('options') || {},
+    projectVariables: store.get('projectVariables') || {},
+    fragments: store.get('fragments') || [],
+    localEdits: store.get('localEdits') || {},
+    technologies: store.get('technologies') || [],
+    subprojects: [],
+    tokenBudget: store.get('tokenBudget') || 0,
+    includeToc: store.get('includeToc') || false,
+  };
+}
+
+/**
+ * Filters and sorts the fragments of one document and resolves the content
+ * each will render with (local edit or original, with its conditional
+ * blocks and placeholders evaluated against the options), then removes
+ * bullets repeated across fragments. When a token budget is set, trims the
+ * lowest-priority fragments until the document fits.
+ * @param {Object} state - Generation state (see readState()).
+ * @param {string} header - The document header, counted against the budget.
+ * @param {boolean} [withToc] - Whether a table of contents will be added,
+ *   which is counted against the budget too.
+ * @returns {{ grouped: Map<string, Array>, contents: Object, sorted: Array, cuts: Array, duplicates: Array }}
+ *   `sorted` holds every applicable fragment, including any that were cut.
+ */
+function prepareFragments(state, header, withToc = false) {
+  const { fragments, options, projectVariables, localEdits, technologies, tokenBudget } = state;
+  const sorted = sortFragments(filterFragments(fragments, options, state.selectedTechIds));
+  const resolved = {};
+  for (const fragment of sorted) {
+    // Local edits are the user's own text, inserted as written
+    resolved[fragment.id] = localEdits[fragment.id] !== undefined
+      ? localEdits[fragment.id]
+      : renderFragment(fragment, fragment.content, options, projectVariables);
+  }
+
+  // Compare in document order so the earlier of two equal-priority bullets wins
+  const documentOrder = [...groupByTechnology(sorted).values()].flat();
+  const edited = sorted.filter(fragment => localEdits[fragment.id] !== undefined).map(fragment => fragment.id);
+  const { contents, duplicates } = removeDuplicateBullets(documentOrder, resolved, edited);
+
+  if (!tokenBudget) {
+    return { grouped: groupByTechnology(sorted), contents, sorted, cuts: [], duplicates };
+  }
+
+  // The header and section headings are never trimmed, so reserve them first
+  let reserved = estimateTokens(header);
+  for (const techId of groupByTechnology(sorted).keys()) {
+    if (techId !== '_general') {
+      reserved += estimateTokens(`## ${getGroupName(techId, technologies)}\n\n`);
+    }
+  }
+
+  // Trimming only removes entries, so the untrimmed contents bound the table's size
+  if (withToc) {
+    const body = assembleBody(groupByTechnology(sorted), contents, technologies);
+    reserved += estimateTokens(buildTableOfContents(body) + '\n\n');
+  }
+
+  const trimmed = trimToBudget(sorted, contents, tokenBudget - reserved);
+  return {
+    grouped: groupByTechnology(trimmed.fragments),
+    contents: trimmed.contents,
+    sorted,
+    cuts: trimmed.cuts,
+    duplicates,
+  };
+}
+
+/**
+ * Lists the placeholders a project's fragments leave unresolved when
+ * rendered for its options. Fragments with a local edit are skipped, since
+ * edits are inserted as written.
+ * @param {{ selectedTechIds: string[], options: Object, projectVariables: Object, fragments: Array }} project
+ * @param {Object} localEdits - Map of fragmentId -> edited content.
+ * @returns {string[]} The unresolved placeholders as written, without duplicates.
+ */
+export function findUnresolvedFragmentVariables(project, localEdits) {
+  const options = project.options || {};
+  const unresolved = [];
+
+  for (const fragment of filterFragments(project.fragments || [], options, project.selectedTechIds || [])) {
+    if (localEdits[fragment.id] !== undefined) {
+      continue;
+    }
+    const techId = fragment.metadata && fragment.metadata.technology;
+    unresolved.push(...renderStrict(fragment.content, createContext(options, techId, project.projectVariables)).unresolved);
+  }
+
+  return [...new Set(unresolved)];
+}
+
+/**
+ * Evaluates a fragment's conditional blocks and placeholders. Bare option
+ * names resolve to the fragment's own technology first.
+ * @param {Object} fragment
+ * @param {string} content - The fragment content.
+ * @param {Object} options
+ * @param {Object} [projectVariables]
+ * @returns {string}
+ */
+export function renderFragment(fragment, content, options, projectVariables) {
+  const techId = fragment.metadata && fragment.metadata.technology;
+  return render(content, createContext(options, techId, projectVariables));
+}
+
+/**
+ * Builds the token breakdown shown by the token meter: estimated tokens
+ * for the whole document, each technology group and each fragment, plus
+ * the fragments the budget cut.
+ * @param {{ sorted: Array, contents: Object, cuts: Array }} prepared - From prepareFragments().
+ * @param {Array} technologies
+ * @param {string} document - The assembled document.
+ * @param {number} budget - Token budget, or 0 for none.
+ * @returns {{ total: number, budget: number, groups: Array, cuts: Array }}
+ */
+function buildTokenReport(prepared, technologies, document, budget) {
+  const cutsById = new Map(prepared.cuts.map(cut => [cut.id, cut]));
+  const groups = [];
+
+  for (const [techId, group] of groupByTechnology(prepared.sorted)) {
+    const fragments = group.map(fragment => {
+      const cut = cutsById.get(fragment.id) || null;
+      return {
+        id: fragment.id,
+        tokens: cut && cut.action === 'dropped' ? 0 : estimateTokens(prepared.contents[fragment.id]),
+        cut,
+      };
+    });
+
+    groups.push({
+      techId,
+      name: getGroupName(techId, technologies),
+      tokens: fragments.reduce((sum, f) => sum + f.tokens, 0),
+      fragments,
+    });
+  }
+
+  return { total: estimateTokens(document), budget: budget || 0, groups, cuts: prepared.cuts };
+}
+
+/**
+ * Builds the header section of the generated markdown: technologies,
+ * configuration, environment variables and, in the root file of a
+ * monorepo, its projects.
  * @param {string[]} selectedTechIds
  * @param {Object} options
  * @param {Array} technologies
  * @param {string} filename
+ * @param {Array<{ path: string, selectedTechIds: string[] }>} [subprojects] -
+ *   Monorepo sub-projects to index in the root file.
+ * @param {Object} [projectVariables] - Listed under Configuration as `Project — <label>`.
  * @returns {string}
  */
-function buildHeader(selectedTechIds, options, technologies, filename) {
+function buildHeader(selectedTechIds, options, technologies, filename, subprojects, projectVariables) {
   const selectedTechs = technologies.filter(t => selectedTechIds.includes(t.id));
-  const techNames = selectedTechs.map(t => t.name);
+  const techNames = selectedTechs.map(t => getTechDisplayName(t, options));
   const timestamp = new Date().toISOString().split('T')[0];
 
   const lines = [
@@ -149,7 +652,7 @@ function buildHeader(selectedTechIds, options, technologies, filename) {
     lines.push(`- ${name}`);
   }
 
-  const optionEntries = buildOptionsSummary(selectedTechIds, options, technologies);
+  const optionEntries = buildOptionsSummary(selectedTechIds, options, technologies, projectVariables);
   if (optionEntries.length > 0) {
     lines.push('');
     lines.push('## Configuration');
@@ -159,32 +662,74 @@ function buildHeader(selectedTechIds, options, technologies, filename) {
     }
   }
 
+  const envVariables = collectEnvironmentVariables(selectedTechIds, options, technologies, projectVariables);
+  if (envVariables.length > 0) {
+    lines.push('');
+    lines.push('## Environment Variables');
+    lines.push('');
+    lines.push('Set these in `.env` (see `.env.example`) or in the deployment environment.');
+    lines.push('');
+    for (const variable of envVariables) {
+      const example = variable.example ? ` Example: \`${variable.example}\`` : '';
+      lines.push(`- \`${variable.name}\` — ${variable.description}${example}`);
+    }
+  }
+
+  if (subprojects && subprojects.length > 0) {
+    lines.push('');
+    lines.push('## Projects');
+    lines.push('');
+    lines.push('Each project directory has its own agent instructions with project-specific guidance.');
+    lines.push('');
+    for (const project of subprojects) {
+      const projectTechs = technologies.filter(t => (project.selectedTechIds || []).includes(t.id));
+      const summary = projectTechs.length > 0 ? projectTechs.map(t => t.name).join(', ') : 'No technologies selected';
+      lines.push(`- \`${project.path}\` — ${summary}`);
+    }
+  }
+
   return lines.join('\n');
 }
 
 /**
- * Builds a summary of selected options for the header.
+ * Builds a summary of the project variables and selected options for the
+ * header, with values escaped for inline markdown. Options of active
+ * combinations follow those of the technologies. Multi-select values are
+ * listed comma-separated, or as `none` when nothing is selected.
  * @param {string[]} selectedTechIds
  * @param {Object} options
  * @param {Array} technologies
+ * @param {Object} [projectVariables]
  * @returns {Array<{ label: string, value: string }>}
  */
-function buildOptionsSummary(selectedTechIds, options, technologies) {
+function buildOptionsSummary(selectedTechIds, options, technologies, projectVariables) {
   const entries = [];
 
-  for (const techId of selectedTechIds) {
-    const tech = technologies.find(t => t.id === techId);
+  for (const variable of PROJECT_VARIABLES) {
+    const value = (projectVariables || {})[variable.id];
+    if (value) {
+      entries.push({ label: `Project — ${variable.label}`, value: escapeMarkdown(value) });
+    }
+  }
+
+  const combinations = getActiveCombinations(selectedTechIds, technologies, store.get('combinations') || []);
+  const sources = selectedTechIds.map(id => technologies.find(t => t.id === id)).concat(combinations);
+
+  for (const tech of sources) {
     if (!tech || !tech.options) {
       continue;
     }
 
-    const techOptions = options[techId] || {};
+    const techOptions = options[tech.id] || {};
     for (const opt of tech.options) {
-      const value = techOptions[opt.id];
+      let value = techOptions[opt.id];
+      if (Array.isArray(value)) {
+        value = value.length > 0 ? value.join(', ') : 'none';
+      }
       if (value !== undefined && value !== null && value !== '') {
         entries.push({
           label: `${tech.name} — ${opt.label}`,
-          value: String(value),
+          value: escapeMarkdown(value),
         });
       }
     }
@@ -194,36 +739,127 @@ function buildOptionsSummary(selectedTechIds, options, technologies) {
 }
 
 /**
- * Filters fragments based on option dependencies.
- * A fragment is included if it has no optionDependencies, or if all
- * its dependencies are satisfied by the current options.
+ * Names a technology with its chosen version, e.g. "Next.js 15", as the
+ * `## Technologies` header lists it.
+ * @param {{ id: string, name: string, versions?: Array }} tech
+ * @param {Object} options
+ * @returns {string}
+ */
+export function getTechDisplayName(tech, options) {
+  const version = (options[tech.id] || {}).version;
+  return tech.versions && tech.versions.length > 0 && version ? `${tech.name} ${version}` : tech.name;
+}
+
+/**
+ * Filters fragments based on option dependencies and version ranges.
+ * A fragment is included if all its optionDependencies are satisfied by
+ * the current options and its technology's chosen version is within its
+ * `versionRange`. Either may be omitted.
  * @param {Array} fragments
  * @param {Object} options
+ * @param {string[]} [selectedTechIds]
  * @returns {Array}
  */
-function filterFragments(fragments, options) {
+export function filterFragments(fragments, options, selectedTechIds) {
   return fragments.filter(fragment => {
-    const deps = fragment.metadata && fragment.metadata.optionDependencies;
-    if (!deps || typeof deps !== 'object') {
-      return true;
+    const metadata = fragment.metadata || {};
+    const version = (options[metadata.technology] || {}).version;
+    return dependenciesMet(metadata.optionDependencies, metadata.technology, options, selectedTechIds)
+      && versionInRange(version, metadata.versionRange);
+  });
+}
+
+/**
+ * Whether a version satisfies a `versionRange`: space-separated
+ * comparators that must all hold (`>=15`, `<3.12`, or a bare version for
+ * an exact match), or a list of ranges of which any may hold. Without a
+ * range, or without a chosen version, every version matches.
+ * @param {?string} version - e.g. "3.12"
+ * @param {string|Array|number} [range] - e.g. ">=3.10 <3.13" or [18, 19]
+ * @returns {boolean}
+ */
+export function versionInRange(version, range) {
+  if (range === undefined || range === null || range === '' || !version) {
+    return true;
+  }
+  if (Array.isArray(range)) {
+    return range.some(entry => versionInRange(version, entry));
+  }
+
+  return String(range).trim().split(/\s+/).every(comparator => {
+    const [, operator, bound] = comparator.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const diff = compareVersions(version, bound);
+    switch (operator) {
+      case '>=': return diff >= 0;
+      case '<=': return diff <= 0;
+      case '>': return diff > 0;
+      case '<': return diff < 0;
+      default: return diff === 0;
     }
+  });
+}
 
-    for (const [optionId, requiredValue] of Object.entries(deps)) {
-      const techId = fragment.metadata.technology;
-      const techOptions = options[techId] || {};
-      const currentValue = techOptions[optionId];
+/**
+ * Compares dotted version numbers segment by segment, so 3.9 sorts
+ * before 3.10. Missing segments count as 0.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative, zero or positive, as for Array#sort.
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
 
-      if (Array.isArray(requiredValue)) {
-        if (!requiredValue.includes(currentValue)) {
-          return false;
-        }
-      } else if (currentValue !== requiredValue) {
+/**
+ * Whether the current selection satisfies an optionDependencies (or
+ * dependsOn) map. Each key is matched against a required value, or a list
+ * of accepted values:
+ * - `optionId`: the option of the technology the map belongs to.
+ * - `techId.optionId`: another technology's option, e.g. `react.language`.
+ *   Never met while that technology is not selected.
+ * - `selected`: a technology ID that must be selected, e.g. `tailwindcss`.
+ * A multi-select option matches when any of its selected choices is
+ * accepted.
+ * @param {?Object} deps
+ * @param {string} techId - Technology (or combination) the map belongs to.
+ * @param {Object} options - Nested options: { techId: { optionId: value } }
+ * @param {string[]} [selectedTechIds]
+ * @returns {boolean}
+ */
+export function dependenciesMet(deps, techId, options, selectedTechIds) {
+  if (!deps || typeof deps !== 'object') {
+    return true;
+  }
+
+  for (const [key, requiredValue] of Object.entries(deps)) {
+    const accepted = Array.isArray(requiredValue) ? requiredValue : [requiredValue];
+
+    if (key === 'selected') {
+      if (!accepted.some(id => (selectedTechIds || []).includes(id))) {
         return false;
       }
+      continue;
     }
 
-    return true;
-  });
+    const dot = key.indexOf('.');
+    const ownerOptions = (options || {})[dot === -1 ? techId : key.slice(0, dot)] || {};
+    const currentValue = ownerOptions[dot === -1 ? key : key.slice(dot + 1)];
+    const selected = Array.isArray(currentValue) ? currentValue : [currentValue];
+
+    if (!selected.some(value => accepted.includes(value))) {
+      return false;
+    }
+  }
+
+  return true;
 }
 
 /**
@@ -260,28 +896,35 @@ function groupByTechnology(fragments) {
 }
 
 /**
- * Assembles the markdown body from grouped fragments, applying local edits.
+ * Assembles the markdown body from grouped fragments. Fragment headings
+ * are demoted to sit below their group's heading. A fragment edited down
+ * to nothing is left out, and so is a group with no content left.
  * @param {Map<string, Array>} grouped - Grouped fragments.
- * @param {Object} localEdits - Map of fragmentId -> edited content.
+ * @param {Object} contents - Map of fragmentId -> content to render (local
+ *   edits, compacted text). Fragments without an entry render as authored.
  * @param {Array} technologies - All technologies from the manifest.
  * @returns {string}
  */
-function assembleBody(grouped, localEdits, technologies) {
+function assembleBody(grouped, contents, technologies) {
   const sections = [];
 
   for (const [techId, fragments] of grouped) {
+    const level = getFragmentHeadingLevel(techId);
+    const rendered = fragments
+      .map(fragment => (contents[fragment.id] !== undefined ? contents[fragment.id] : fragment.content))
+      .filter(content => content.trim() !== '')
+      .map(content => normalizeHeadings(content, level));
+
+    if (rendered.length === 0) {
+      continue;
+    }
+
     if (techId !== '_general') {
-      const tech = technologies.find(t => t.id === techId);
-      const heading = tech ? tech.name : techId;
-      sections.push(`## ${heading}`);
+      sections.push(`## ${getGroupName(techId, technologies)}`);
       sections.push('');
     }
 
-    for (const fragment of fragments) {
-      const fragmentId = fragment.id;
-      const content = localEdits[fragmentId] !== undefined
-        ? localEdits[fragmentId]
-        : fragment.content;
+    for (const content of rendered) {
       sections.push(content);
       sections.push('');
     }
@@ -291,32 +934,138 @@ function assembleBody(grouped, localEdits, technologies) {
 }
 
 /**
- * Simple variable interpolation for template content.
- * Replaces {{variableName}} with values from the options object.
- * Flattens nested options (techId.optionId) for lookup.
- * @param {string} content
- * @param {Object} options
+ * Returns the level fragment headings are normalized to: directly below the
+ * `## <Technology>` heading, or at `##` for general fragments, which have none.
+ * @param {string} techId - Technology ID, or '_general'.
+ * @returns {number}
+ */
+function getFragmentHeadingLevel(techId) {
+  return techId === '_general' ? 2 : 3;
+}
+
+/**
+ * Returns the display name of a technology or combination group, e.g.
+ * "React + Cloudflare Workers".
+ * @param {string} techId - Technology or combination ID, or '_general'.
+ * @param {Array} technologies
  * @returns {string}
  */
-function interpolateSimple(content, options) {
-  const flatOptions = {};
-  for (const [techId, techOpts] of Object.entries(options)) {
-    if (typeof techOpts === 'object' && techOpts !== null) {
-      for (const [key, value] of Object.entries(techOpts)) {
-        flatOptions[key] = value;
-        flatOptions[`${techId}.${key}`] = value;
-      }
-    }
+export function getGroupName(techId, technologies) {
+  if (techId === '_general') {
+    return 'General';
   }
+  const tech = technologies.find(t => t.id === techId)
+    || (store.get('combinations') || []).find(c => c.id === techId);
+  return tech && tech.name ? tech.name : techId;
+}
 
-  return content.replace(/\{\{([^}]+)\}\}/g, (match, varName) => {
-    const trimmed = varName.trim();
-    return flatOptions[trimmed] !== undefined ? String(flatOptions[trimmed]) : match;
-  });
+/**
+ * Returns the file globs a technology's guidance applies to.
+ * General and combination groups have none.
+ * @param {string} techId
+ * @param {Array} technologies
+ * @returns {string[]}
+ */
+function getTechnologyGlobs(techId, technologies) {
+  const tech = technologies.find(t => t.id === techId);
+  return (tech && tech.globs) || [];
+}
+
+/**
+ * Creates a registry entry for a target that writes one markdown file.
+ * @param {string} id
+ * @param {string} label
+ * @param {function(): string} getFilename
+ * @param {?string} title - Null when the title follows the filename.
+ * @returns {Object}
+ */
+function markdownTarget(id, label, getFilename, title) {
+  return {
+    id,
+    label,
+    title,
+    getFilename,
+    nested: true,
+    render: (state) => {
+      const filename = getFilename();
+      return [{ path: filename, content: wrapManagedRegion(generate(filename, state)) }];
+    },
+  };
+}
+
+/**
+ * Generates a rules directory: a project overview file carrying the header,
+ * plus one file per technology group. Shared by the Cursor, Windsurf and
+ * Cline targets, which differ only in location, extension and frontmatter.
+ * @param {string} dir - Output directory, with trailing slash.
+ * @param {string} extension - File extension, with leading dot.
+ * @param {?function(string, string[]): string[]} buildFrontmatter - Returns
+ *   frontmatter lines for a description and globs, or null for no frontmatter.
+ * @param {Object} [state] - Generation state; defaults to the live store.
+ * @returns {Array<{ path: string, content: string }>}
+ */
+function generateRuleFiles(dir, extension, buildFrontmatter, state) {
+  const generationState = state || readState();
+  const { selectedTechIds, options, projectVariables, technologies, subprojects } = generationState;
+
+  const header = buildHeader(selectedTechIds, options, technologies, RULES_TITLE, subprojects, projectVariables);
+  const { grouped, contents } = prepareFragments(generationState, header);
+
+  const wrap = (description, globs, body) => (
+    buildFrontmatter ? withFrontmatter(buildFrontmatter(description, globs), body) : wrapManagedRegion(body) + '\n'
+  );
+
+  const files = [{
+    path: `${dir}project${extension}`,
+    content: wrap(
+      'Project overview with selected technologies and configuration',
+      [],
+      header
+    ),
+  }];
+
+  for (const [techId, group] of grouped) {
+    const name = getGroupName(techId, technologies);
+    const body = assembleBody(new Map([[techId, group]]), contents, technologies);
+    const ruleName = techId === '_general' ? 'general' : techId;
+    const globs = getTechnologyGlobs(techId, technologies);
+
+    files.push({
+      path: `${dir}${ruleName}${extension}`,
+      content: wrap(`${name} conventions`, globs, body),
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Prefixes a body with a `---` delimited frontmatter block. The body is
+ * wrapped in a managed region; frontmatter stays outside it because tools
+ * only read frontmatter at the very top of the file.
+ * @param {string[]} frontmatterLines
+ * @param {string} body
+ * @returns {string}
+ */
+function withFrontmatter(frontmatterLines, body) {
+  return ['---', ...frontmatterLines, '---', '', wrapManagedRegion(body), ''].join('\n');
+}
+
+/**
+ * Returns a backtick fence longer than any run of backticks in the content,
+ * so code blocks inside a file cannot close the fence around it.
+ * @param {string} content
+ * @returns {string}
+ */
+function getFence(content) {
+  const longest = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
 }
 
 /**
- * Extracts a file extension hint for fenced code blocks.
+ * Extracts a file extension hint for fenced code blocks. Cursor `.mdc`
+ * rules get none: they are markdown behind YAML frontmatter, which neither
+ * hint describes.
  * @param {string} filePath
  * @returns {string}
  */
@@ -334,9 +1083,10 @@ function getFileExtension(filePath) {
     sh: 'bash',
     bash: 'bash',
     md: 'markdown',
+    mdc: '',
     html: 'html',
     css: 'css',
     xml: 'xml',
   };
-  return extensionMap[ext] || ext || '';
+  return Object.prototype.hasOwnProperty.call(extensionMap, ext) ? extensionMap[ext] : ext || '';
 }
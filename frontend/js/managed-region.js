@@ -0,0 +1,121 @@
+/**
+ * Managed regions.
+ * Generated markdown is wrapped in begin/end marker comments. When a file
+ * is delivered on top of an existing one, only the region between the
+ * markers is replaced and everything outside it — team-specific rules
+ * written by hand — is kept. The worker imports mergeManagedRegion() from
+ * here for the GitHub PR flow.
+ */
+
+const BEGIN_PREFIX = '<!-- agentsdotmd:begin';
+const BEGIN_MARKER = `${BEGIN_PREFIX} (generated: edits between these markers are replaced on regeneration) -->`;
+const END_MARKER = '<!-- agentsdotmd:end -->';
+
+/** Text every generated header contains, used to spot files from before markers existed. */
+const GENERATED_NOTICE = 'Generated by [AgentsDotMD]';
+
+/**
+ * Wraps generated content in managed region markers.
+ * @param {string} content
+ * @returns {string}
+ */
+export function wrapManagedRegion(content) {
+  return `${BEGIN_MARKER}\n${content}\n${END_MARKER}`;
+}
+
+/**
+ * Returns the content between the markers, or the whole text if it has
+ * no managed region.
+ * @param {string} text
+ * @returns {string}
+ */
+export function extractManagedRegion(text) {
+  const parts = splitManagedRegion(text);
+  if (!parts) {
+    return text;
+  }
+  const inner = parts.region.slice(parts.region.indexOf('\n') + 1, parts.region.length - END_MARKER.length);
+  return inner.replace(/\n$/, '');
+}
+
+/**
+ * Merges freshly generated content into an existing file. The existing
+ * file's managed region is replaced; everything outside it is kept. A file
+ * generated before markers existed is replaced outright, and a hand-written
+ * file without markers keeps its content with the region added below, and
+ * so does a file whose region lost its end marker, minus the stray begin
+ * marker. A `---` frontmatter block at the top of the generated content replaces
+ * the existing one; any other text before the generated region is dropped.
+ * @param {?string} existing - Current file content, or null if there is none.
+ * @param {string} generated - Newly generated content.
+ * @returns {string}
+ */
+export function mergeManagedRegion(existing, generated) {
+  const next = splitManagedRegion(generated);
+  if (!next || existing === null || existing === undefined || existing.trim() === '') {
+    return generated;
+  }
+
+  const frontmatter = getFrontmatter(next.before);
+  const current = splitManagedRegion(existing.replace(/\r\n/g, '\n'));
+  if (current) {
+    const before = frontmatter ? stripFrontmatter(current.before) : current.before;
+    return frontmatter + before + next.region + current.after;
+  }
+
+  if (existing.includes(GENERATED_NOTICE) && !existing.includes(BEGIN_PREFIX)) {
+    return generated;
+  }
+
+  const unmarked = existing.replace(/\r\n/g, '\n').split('\n').filter(line => !line.startsWith(BEGIN_PREFIX)).join('\n');
+  const body = frontmatter ? stripFrontmatter(unmarked) : unmarked;
+  return frontmatter + body.trimEnd() + '\n\n' + next.region + next.after;
+}
+
+/**
+ * Splits text around its managed region: the first end marker and the
+ * begin marker closest before it.
+ * @param {string} text
+ * @returns {?{ before: string, region: string, after: string }} Null if the
+ *   text has no complete region.
+ */
+function splitManagedRegion(text) {
+  const begin = text.indexOf(BEGIN_PREFIX);
+  const end = begin === -1 ? -1 : text.indexOf(END_MARKER, begin);
+  if (end === -1) {
+    return null;
+  }
+  const start = text.lastIndexOf(BEGIN_PREFIX, end);
+
+  return {
+    before: text.slice(0, start),
+    region: text.slice(start, end + END_MARKER.length),
+    after: text.slice(end + END_MARKER.length),
+  };
+}
+
+/**
+ * Returns a leading `---` frontmatter block with the blank line after it.
+ * @param {string} text
+ * @returns {string} The block, or an empty string if the text has none.
+ */
+function getFrontmatter(text) {
+  if (!text.startsWith('---\n')) {
+    return '';
+  }
+  const end = text.indexOf('\n---\n', 3);
+  return end === -1 ? '' : text.slice(0, end + 5) + '\n';
+}
+
+/**
+ * Removes a leading `---` frontmatter block.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripFrontmatter(text) {
+  if (!text.startsWith('---\n')) {
+    return text;
+  }
+  const end = text.indexOf('\n---\n', 3);
+  return end === -1 ? text : text.slice(end + 5).replace(/^\n+/, '');
+}
@@ -0,0 +1,402 @@
+/**
+ * Rebuilds a session from a generated markdown file that carries no
+ * provenance record. Reads the `## Technologies` and `## Configuration`
+ * header written by the generator, reloads the matching fragments, and
+ * turns every section that differs from the library into a local edit.
+ * Also reads back the local edits a provenance comment lists by ID.
+ */
+import { store } from './store.js';
+import { loadSelection, getActiveCombinations } from './prompt-loader.js';
+import { getDocumentLayout, OUTPUT_TARGETS } from './generator.js';
+import { restoreProjects, getProjectStates, PROJECT_VARIABLES } from './projects.js';
+import { stripProvenanceComment } from './provenance.js';
+import { extractManagedRegion } from './managed-region.js';
+import { normalizeHeadings, getFirstHeadingLevel } from './outline.js';
+import { unescapeMarkdown } from './template-engine.js';
+
+/** Header sections written by the generator, which are not fragment content. */
+const HEADER_SECTIONS = ['## Technologies', '## Configuration', '## Environment Variables', '## Projects', '## Contents'];
+
+/** Marks the template listing appended by the inline delivery mode. */
+const SETUP_FILES_MARKER = '\n---\n\n## Setup Files\n';
+
+/**
+ * Frontmatter keys that tell rule sets sharing a title apart; a rule file
+ * without frontmatter is Cline's.
+ */
+const RULE_FRONTMATTER = { cursor: /^alwaysApply:/m, windsurf: /^trigger:/m };
+
+/** Matches a configuration line, e.g. `- **React — Language**: typescript`. */
+const CONFIGURATION_LINE = /^- \*\*(.+?) — (.+?)\*\*: (.*)$/;
+
+/**
+ * Restores the session described by a generated markdown file.
+ * @param {string} text - The markdown file contents.
+ * @returns {Promise<{ warnings: string[] }>} Anything that could not be
+ *   mapped back, e.g. unknown technologies or options.
+ * @throws {Error} If the file has no technologies header.
+ */
+export async function importMarkdown(text) {
+  const technologies = store.get('technologies') || [];
+  const markdown = stripSetupFiles(stripProvenanceComment(extractManagedRegion(text.replace(/\r\n/g, '\n'))));
+  const lines = markdown.split('\n');
+  const warnings = [];
+
+  const techLines = readSection(lines, '## Technologies');
+  if (!techLines) {
+    throw new Error('This file has no "## Technologies" section, so it was not generated by AgentsDotMD.');
+  }
+
+  const selectedTechIds = [];
+  for (const line of techLines) {
+    const name = line.replace(/^- /, '').trim();
+    const tech = findTechnologyByName(technologies, name);
+    if (tech) {
+      selectedTechIds.push(tech.id);
+    } else {
+      warnings.push(`Technology "${name}" is not in the library.`);
+    }
+  }
+
+  if (selectedTechIds.length === 0) {
+    throw new Error('None of the technologies in this file are in the library.');
+  }
+
+  const { options, projectVariables } = parseConfiguration(readSection(lines, '## Configuration') || [], selectedTechIds, technologies, warnings);
+  if (readSection(lines, '## Projects')) {
+    warnings.push('Sub-projects are not restored from markdown; import agentsdotmd.json to restore a monorepo.');
+  }
+
+  // Technology groups appear in selection order, so restore that order
+  const bodyStart = findBodyStart(lines);
+  const headingIndex = (techId) => {
+    const name = technologies.find(t => t.id === techId).name;
+    const index = lines.indexOf(`## ${name}`, bodyStart);
+    return index === -1 ? Infinity : index;
+  };
+  selectedTechIds.sort((a, b) => headingIndex(a) - headingIndex(b));
+
+  const { fragments, templateFiles } = await loadSelection(selectedTechIds);
+  const layout = getDocumentLayout(fragments, options, technologies, projectVariables, selectedTechIds);
+  const localEdits = diffSections(lines, bodyStart, layout, warnings);
+
+  const titleMatch = markdown.match(/^# (.+)$/m);
+  const title = titleMatch ? titleMatch[1].trim() : 'AGENTS';
+  restoreTargets(title, text.replace(/\r\n/g, '\n'));
+
+  store.set('includeToc', lines.includes('## Contents'));
+  store.set('localEdits', localEdits);
+  restoreProjects([{ path: '', selectedTechIds, options, projectVariables, fragments, templateFiles }]);
+
+  return { warnings };
+}
+
+/**
+ * Reads back the local edits of generated markdown files whose provenance
+ * comment lists the edited fragments by ID, once the session has been
+ * restored from that comment. Each file is matched to the project whose
+ * technologies its header lists, so a monorepo's sub-project files are
+ * compared with their own project's fragments; the listed fragments'
+ * sections are then diffed as for a file without a record. Where files
+ * disagree about a fragment, the first one wins.
+ * @param {string[]} texts - The root markdown file, then any sub-project files.
+ * @param {string[]} editedFragments - IDs from the comment's `editedFragments`.
+ */
+export function restoreLocalEdits(texts, editedFragments) {
+  const technologies = store.get('technologies') || [];
+  const projects = getProjectStates();
+  const localEdits = {};
+
+  for (const text of texts) {
+    const lines = stripSetupFiles(stripProvenanceComment(extractManagedRegion(text.replace(/\r\n/g, '\n')))).split('\n');
+    const project = findProjectForFile(lines, projects, technologies);
+    if (!project) {
+      continue;
+    }
+    projects.splice(projects.indexOf(project), 1);
+
+    const layout = getDocumentLayout(
+      project.fragments || [],
+      project.options || {},
+      technologies,
+      project.projectVariables || {},
+      project.selectedTechIds || []
+    );
+    const edits = diffSections(lines, findBodyStart(lines), layout, []);
+
+    for (const id of editedFragments) {
+      if (edits[id] !== undefined && localEdits[id] === undefined) {
+        localEdits[id] = edits[id];
+      }
+    }
+  }
+
+  store.set('localEdits', localEdits);
+}
+
+/**
+ * Picks the project a generated file belongs to: the first whose selected
+ * technologies are exactly those the file's `## Technologies` header lists,
+ * or else the one sharing the most of them.
+ * @param {string[]} lines
+ * @param {Array} projects - Projects not matched to a file yet.
+ * @param {Array} technologies
+ * @returns {?Object} The project, or null if the file lists none of theirs.
+ */
+function findProjectForFile(lines, projects, technologies) {
+  const techIds = (readSection(lines, '## Technologies') || [])
+    .map(line => findTechnologyByName(technologies, line.replace(/^- /, '').trim()))
+    .filter(Boolean)
+    .map(tech => tech.id);
+
+  let best = null;
+  let bestShared = 0;
+  for (const project of projects) {
+    const selected = project.selectedTechIds || [];
+    const shared = selected.filter(id => techIds.includes(id)).length;
+    if (shared === techIds.length && shared === selected.length) {
+      return project;
+    }
+    if (shared > bestShared) {
+      best = project;
+      bestShared = shared;
+    }
+  }
+  return best;
+}
+
+/**
+ * Returns the list lines of a header section, or null if it is absent.
+ * @param {string[]} lines
+ * @param {string} heading
+ * @returns {?string[]}
+ */
+function readSection(lines, heading) {
+  const start = lines.indexOf(heading);
+  if (start === -1) {
+    return null;
+  }
+
+  const items = [];
+  for (let i = start + 1; i < lines.length && !lines[i].startsWith('## '); i++) {
+    if (lines[i].startsWith('- ')) {
+      items.push(lines[i]);
+    }
+  }
+  return items;
+}
+
+/**
+ * Maps `## Configuration` lines back to option values by technology (or
+ * active combination) name and option label, and `Project — <label>` lines
+ * to project variables.
+ * Options not listed keep their defaults.
+ * @param {string[]} configLines
+ * @param {string[]} selectedTechIds
+ * @param {Array} technologies
+ * @param {string[]} warnings - Collects lines that could not be mapped.
+ * @returns {{ options: Object, projectVariables: Object }} Options keyed by
+ *   technology or combination ID, and project variables keyed by variable ID.
+ */
+function parseConfiguration(configLines, selectedTechIds, technologies, warnings) {
+  const options = {};
+  const projectVariables = {};
+
+  for (const line of configLines) {
+    const match = line.match(CONFIGURATION_LINE);
+    if (!match) {
+      continue;
+    }
+
+    const [, techName, optionLabel, rawValue] = match;
+    const variable = techName === 'Project' && PROJECT_VARIABLES.find(v => v.label === optionLabel);
+    if (variable) {
+      projectVariables[variable.id] = unescapeMarkdown(rawValue.trim());
+      continue;
+    }
+
+    const tech = technologies.find(t => t.name === techName && selectedTechIds.includes(t.id))
+      || getActiveCombinations(selectedTechIds, technologies, store.get('combinations') || []).find(c => c.name === techName);
+    const option = tech && (tech.options || []).find(o => o.label === optionLabel);
+    if (!option) {
+      warnings.push(`Option "${techName} — ${optionLabel}" is not in the library.`);
+      continue;
+    }
+
+    const value = parseOptionValue(option, unescapeMarkdown(rawValue.trim()));
+    if (value === undefined) {
+      warnings.push(`"${rawValue}" is not a valid choice for ${techName} — ${optionLabel}.`);
+      continue;
+    }
+
+    options[tech.id] = options[tech.id] || {};
+    options[tech.id][option.id] = value;
+  }
+
+  return { options, projectVariables };
+}
+
+/**
+ * Finds the technology a `## Technologies` entry names, with or without
+ * the version the generator appends (e.g. "Next.js 15").
+ * @param {Array} technologies
+ * @param {string} name
+ * @returns {?Object}
+ */
+function findTechnologyByName(technologies, name) {
+  const lower = name.toLowerCase();
+  return technologies.find(t => t.name.toLowerCase() === lower)
+    || technologies.find(t => (t.versions || []).some(v => `${t.name} ${v.id}`.toLowerCase() === lower))
+    || null;
+}
+
+/**
+ * Converts a value from the configuration summary back to its option type.
+ * @param {Object} option
+ * @param {string} raw
+ * @returns {*} The value, or undefined if it is not valid for the option.
+ */
+function parseOptionValue(option, raw) {
+  if (option.type === 'toggle') {
+    return raw === 'true' ? true : raw === 'false' ? false : undefined;
+  }
+  if (option.type === 'single-select') {
+    const choice = (option.choices || []).find(c => c.id === raw || c.label === raw);
+    return choice ? choice.id : undefined;
+  }
+  if (option.type === 'multi-select') {
+    if (raw === 'none') {
+      return [];
+    }
+    const choices = raw.split(',').map(part => (option.choices || []).find(c => c.id === part.trim() || c.label === part.trim()));
+    return choices.every(Boolean) ? choices.map(c => c.id) : undefined;
+  }
+  return raw;
+}
+
+/**
+ * Splits the document body at each fragment's first line and compares the
+ * sections with the library as the generator renders it: duplicate bullets
+ * removed and fragment headings at the level they were demoted to. Differing sections become local edits, moved
+ * back to the fragment's own heading level; a fragment whose section is
+ * missing becomes an empty local edit.
+ * @param {string[]} lines
+ * @param {number} bodyStart - Index of the first line after the header.
+ * @param {Array<{ heading: ?string, fragments: Array, contents: Object, level: number }>} layout - From getDocumentLayout().
+ * @param {string[]} warnings - Collects fragments that were not found.
+ * @returns {Object} Map of fragmentId -> edited content.
+ */
+function diffSections(lines, bodyStart, layout, warnings) {
+  let cursor = bodyStart;
+
+  // Find each group heading and fragment start line, in document order
+  const markers = [];
+  for (const section of layout) {
+    if (section.heading) {
+      markers.push({ line: section.heading, fragment: null });
+    }
+    for (const fragment of section.fragments) {
+      const rendered = normalizeHeadings(section.contents[fragment.id], section.level).trim();
+      markers.push({ line: rendered.split('\n')[0], fragment, rendered, level: section.level });
+    }
+  }
+
+  for (const marker of markers) {
+    const index = lines.findIndex((line, i) => i >= cursor && line.trim() === marker.line.trim());
+    marker.index = index;
+    if (index !== -1) {
+      cursor = index + 1;
+    }
+  }
+
+  const found = markers.filter(m => m.index !== -1);
+  const localEdits = {};
+
+  for (const marker of markers) {
+    if (!marker.fragment) {
+      continue;
+    }
+
+    const fragment = marker.fragment;
+    if (marker.index === -1) {
+      localEdits[fragment.id] = '';
+      warnings.push(`Section "${marker.line}" was not found and is left out.`);
+      continue;
+    }
+
+    const next = found.find(m => m.index > marker.index);
+    const section = lines.slice(marker.index, next ? next.index : lines.length).join('\n').trim();
+    if (section !== marker.rendered) {
+      const authoredLevel = getFirstHeadingLevel(fragment.content);
+      const sectionLevel = getFirstHeadingLevel(section);
+      localEdits[fragment.id] = authoredLevel === null || sectionLevel === null
+        ? section
+        : normalizeHeadings(section, Math.max(1, sectionLevel + authoredLevel - marker.level));
+    }
+  }
+
+  return localEdits;
+}
+
+/**
+ * Returns the index of the first line after the header sections.
+ * @param {string[]} lines
+ * @returns {number}
+ */
+function findBodyStart(lines) {
+  let start = 0;
+  for (const heading of HEADER_SECTIONS) {
+    const index = lines.indexOf(heading);
+    if (index >= start) {
+      start = index + 1;
+    }
+  }
+  return start;
+}
+
+/**
+ * Removes the setup files listing appended by the inline delivery mode.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripSetupFiles(text) {
+  const index = text.indexOf(SETUP_FILES_MARKER);
+  return index === -1 ? text : text.slice(0, index);
+}
+
+/**
+ * Ticks the output target whose document title matches, e.g. `# CLAUDE`
+ * or `# Copilot Instructions`. Rule sets share a title and are told apart
+ * by the file's frontmatter. Unknown titles become a custom filename.
+ * @param {string} title
+ * @param {string} text - The whole file, frontmatter included.
+ */
+function restoreTargets(title, text) {
+  const matches = OUTPUT_TARGETS.filter(target => target.title === title);
+  if (matches.length === 0) {
+    store.set('outputTargets', ['custom']);
+    store.set('customFilename', toFilename(title));
+    return;
+  }
+
+  const frontmatter = (text.match(/^---\n([\s\S]*?)\n---\n/) || [])[1] || '';
+  const target = matches.length === 1
+    ? matches[0]
+    : matches.find(t => (RULE_FRONTMATTER[t.id] ? RULE_FRONTMATTER[t.id].test(frontmatter) : !frontmatter)) || matches[0];
+  store.set('outputTargets', [target.id]);
+}
+
+/**
+ * Turns a document title into a relative markdown filename. Path segments
+ * keep letters, digits, spaces, dots, dashes and underscores; `.` and `..`
+ * segments are dropped.
+ * @param {string} title
+ * @returns {string}
+ */
+function toFilename(title) {
+  const segments = title
+    .split(/[\\/]+/)
+    .map(segment => segment.replace(/[^A-Za-z0-9 ._-]+/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  return (segments.length > 0 ? segments.join('/') : 'AGENTS') + '.md';
+}
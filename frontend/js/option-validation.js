@@ -0,0 +1,163 @@
+/**
+ * Validation rules for freeform options and project variables.
+ * A freeform option in `meta.json` may declare `required`, `pattern` (a
+ * regular expression the whole value must match, as for the HTML
+ * attribute), `minLength`, `maxLength` and a `message` shown instead of
+ * the default error. Empty values only fail when `required` is set.
+ * A technology may also declare `constraints`: option values that cannot be
+ * combined, written with the same keys as `dependsOn` (FR-203).
+ * The custom output filename is checked the same way while its target is
+ * ticked. Export, download and pull requests are blocked while any value is
+ * invalid or any constraint is violated.
+ */
+import { store } from './store.js';
+import { getProjectStates, PROJECT_VARIABLES } from './projects.js';
+import { dependenciesMet } from './generator.js';
+import { getActiveCombinations } from './prompt-loader.js';
+
+/**
+ * Rules for the custom output filename: a relative path inside the
+ * project, without `..` segments, ending in `.md`.
+ */
+const CUSTOM_FILENAME_RULE = {
+  label: 'Custom filename',
+  required: true,
+  pattern: '(?![\\\\/])(?![A-Za-z]:)(?!(?:.*[\\\\/])?\\.\\.(?:[\\\\/]|$))[^<>:"|?*]+\\.md',
+  message: 'Use a relative path inside the project ending in .md, e.g. docs/AGENTS.md.',
+};
+
+/**
+ * Checks a value against an option's validation rules.
+ * @param {{ label: string, required?: boolean, pattern?: string, minLength?: number, maxLength?: number, message?: string }} option
+ * @param {*} value
+ * @returns {?string} The error message, or null if the value is valid.
+ */
+export function validateOptionValue(option, value) {
+  const text = value === undefined || value === null ? '' : String(value);
+
+  if (text.trim() === '') {
+    return option.required ? (option.message || `${option.label} is required.`) : null;
+  }
+
+  if (typeof option.minLength === 'number' && text.length < option.minLength) {
+    return option.message || `${option.label} must be at least ${option.minLength} characters.`;
+  }
+
+  if (typeof option.maxLength === 'number' && text.length > option.maxLength) {
+    return option.message || `${option.label} must be at most ${option.maxLength} characters.`;
+  }
+
+  if (option.pattern && !matchesPattern(option.pattern, text)) {
+    return option.message || `${option.label} has an invalid format.`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks the custom output filename.
+ * @param {string} value
+ * @returns {?string} The error message, or null if the filename is valid.
+ */
+export function validateCustomFilename(value) {
+  return validateOptionValue(CUSTOM_FILENAME_RULE, value);
+}
+
+/**
+ * Lists the constraints of a project's selected technologies that its
+ * options violate. A constraint is `{ exclusive, message }`, where
+ * `exclusive` maps keys to values like `dependsOn` does; it is violated
+ * when every entry holds at once.
+ * @param {{ selectedTechIds: string[], options: Object }} project
+ * @param {Array} technologies - All technologies from the manifest.
+ * @returns {Array<{ techId: string, message: string }>}
+ */
+export function findConstraintViolations(project, technologies) {
+  const violations = [];
+
+  for (const techId of project.selectedTechIds || []) {
+    const tech = technologies.find(t => t.id === techId);
+
+    for (const constraint of (tech && tech.constraints) || []) {
+      const exclusive = constraint.exclusive || {};
+      if (Object.keys(exclusive).length === 0 || !dependenciesMet(exclusive, techId, project.options || {}, project.selectedTechIds)) {
+        continue;
+      }
+      const values = Object.entries(exclusive).map(([key, value]) => `${key}: ${value}`);
+      violations.push({ techId, message: constraint.message || `These options cannot be combined: ${values.join(', ')}.` });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Lists every invalid value in the session: the custom filename while its
+ * target is ticked, project variables, the visible freeform options of each
+ * project's selected technologies and active combinations, and violated
+ * constraints. Options hidden by `dependsOn` are not checked.
+ * @returns {Array<{ path: string, techId: ?string, optionId: ?string, label: string, message: string }>}
+ *   `techId` is null for project variables and `optionId` for constraints;
+ *   `label` names the technology (or "Project") and the option.
+ */
+export function findInvalidOptions() {
+  const technologies = store.get('technologies') || [];
+  const invalid = [];
+
+  if ((store.get('outputTargets') || []).includes('custom')) {
+    const message = validateCustomFilename(store.get('customFilename'));
+    if (message) {
+      invalid.push({ path: '', techId: null, optionId: 'customFilename', label: CUSTOM_FILENAME_RULE.label, message });
+    }
+  }
+
+  for (const project of getProjectStates()) {
+    for (const variable of PROJECT_VARIABLES) {
+      const message = validateOptionValue(variable, (project.projectVariables || {})[variable.id]);
+      if (message) {
+        invalid.push({ path: project.path, techId: null, optionId: variable.id, label: `Project — ${variable.label}`, message });
+      }
+    }
+
+    const sources = (project.selectedTechIds || [])
+      .map(id => technologies.find(t => t.id === id))
+      .filter(Boolean)
+      .concat(getActiveCombinations(project.selectedTechIds || [], technologies, store.get('combinations') || []));
+
+    for (const tech of sources) {
+      const techOptions = (project.options || {})[tech.id] || {};
+
+      for (const option of tech.options || []) {
+        if (option.type !== 'freeform' || !dependenciesMet(option.dependsOn, tech.id, project.options || {}, project.selectedTechIds)) {
+          continue;
+        }
+        const message = validateOptionValue(option, techOptions[option.id]);
+        if (message) {
+          invalid.push({ path: project.path, techId: tech.id, optionId: option.id, label: `${tech.name} — ${option.label}`, message });
+        }
+      }
+    }
+
+    for (const violation of findConstraintViolations(project, technologies)) {
+      const tech = technologies.find(t => t.id === violation.techId);
+      invalid.push({ path: project.path, techId: violation.techId, optionId: null, label: tech.name, message: violation.message });
+    }
+  }
+
+  return invalid;
+}
+
+/**
+ * Whether the whole value matches a pattern. A pattern that is not a
+ * valid regular expression is ignored (`build-manifest.js` reports it).
+ * @param {string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+  } catch (err) {
+    return true;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Heading outline of generated markdown.
+ * Fragments are authored with their own `##` headings; when assembled under
+ * a `## <Technology>` heading they are demoted so the document forms a
+ * proper tree. Also builds the optional table of contents and finds
+ * headings that skip a level. Lines inside fenced code blocks are ignored.
+ */
+
+/** Matches an ATX heading line, e.g. `### Testing`. */
+const HEADING_LINE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/** Matches the opening or closing line of a fenced code block. */
+const FENCE_LINE = /^\s*(```|~~~)/;
+
+/** Deepest heading level listed in the table of contents. */
+const TOC_MAX_LEVEL = 3;
+
+/**
+ * Returns the level of the first heading in the content.
+ * @param {string} content
+ * @returns {?number} Null if the content has no headings.
+ */
+export function getFirstHeadingLevel(content) {
+  const headings = readHeadings(content);
+  return headings.length > 0 ? headings[0].level : null;
+}
+
+/**
+ * Shifts every heading so the first one sits at the given level, keeping
+ * the relative structure. A later, shallower heading (a section a user
+ * added after a fragment's own) keeps its place relative to the first, so
+ * shifting back and forth returns the original. Levels are kept within 1 to 6.
+ * @param {string} content
+ * @param {number} level - Level for the first heading.
+ * @returns {string}
+ */
+export function normalizeHeadings(content, level) {
+  const top = getFirstHeadingLevel(content);
+  if (top === null || top === level) {
+    return content;
+  }
+
+  const shift = level - top;
+  return mapLines(content, (line) => {
+    const match = line.match(HEADING_LINE);
+    if (!match) {
+      return line;
+    }
+    const newLevel = Math.min(6, Math.max(1, match[1].length + shift));
+    return '#'.repeat(newLevel) + line.slice(match[1].length);
+  });
+}
+
+/**
+ * Lists the headings of a document with GitHub-style anchors.
+ * Duplicate anchors get a `-1`, `-2` ... suffix as GitHub renders them.
+ * @param {string} markdown
+ * @returns {Array<{ level: number, text: string, anchor: string }>}
+ */
+export function buildOutline(markdown) {
+  const used = new Map();
+
+  return readHeadings(markdown).map(({ level, text }) => {
+    const slug = slugify(text);
+    const count = used.get(slug) || 0;
+    used.set(slug, count + 1);
+    return { level, text, anchor: count === 0 ? slug : `${slug}-${count}` };
+  });
+}
+
+/**
+ * Builds a `## Contents` section linking to the `##` and `###` headings
+ * of a document body.
+ * @param {string} body
+ * @returns {string} The section, or empty string if the body has no headings.
+ */
+export function buildTableOfContents(body) {
+  const entries = buildOutline(body).filter(h => h.level >= 2 && h.level <= TOC_MAX_LEVEL);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const lines = ['## Contents', ''];
+  for (const entry of entries) {
+    const indent = '  '.repeat(entry.level - 2);
+    lines.push(`${indent}- [${entry.text}](#${entry.anchor})`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Finds headings that are more than one level deeper than the heading
+ * before them, e.g. a `####` directly under a `##`.
+ * @param {string} markdown
+ * @returns {Array<{ text: string, level: number, previousLevel: number }>}
+ */
+export function findHeadingJumps(markdown) {
+  const jumps = [];
+  let previousLevel = 0;
+
+  for (const { level, text } of readHeadings(markdown)) {
+    if (previousLevel > 0 && level > previousLevel + 1) {
+      jumps.push({ text, level, previousLevel });
+    }
+    previousLevel = level;
+  }
+
+  return jumps;
+}
+
+/**
+ * Reads the headings outside fenced code blocks.
+ * @param {string} markdown
+ * @returns {Array<{ level: number, text: string }>}
+ */
+function readHeadings(markdown) {
+  const headings = [];
+  mapLines(markdown, (line) => {
+    const match = line.match(HEADING_LINE);
+    if (match) {
+      headings.push({ level: match[1].length, text: match[2] });
+    }
+    return line;
+  });
+  return headings;
+}
+
+/**
+ * Applies a function to every line outside fenced code blocks.
+ * @param {string} text
+ * @param {function(string): string} fn
+ * @returns {string}
+ */
+function mapLines(text, fn) {
+  let inFence = false;
+
+  return text.split('\n').map((line) => {
+    if (FENCE_LINE.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    return inFence ? line : fn(line);
+  }).join('\n');
+}
+
+/**
+ * Converts heading text to a GitHub anchor: lowercase, punctuation
+ * other than `-` and `_` removed, spaces turned into hyphens.
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
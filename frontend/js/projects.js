@@ -0,0 +1,175 @@
+/**
+ * Monorepo project management.
+ * A session holds one or more projects, each with its own technology
+ * selection and options. The root project (path '') is always first.
+ * The active project's state lives in the top-level store keys so every
+ * component keeps working on it unchanged; inactive projects are parked
+ * in `store.projects`.
+ */
+import { store } from './store.js';
+
+/** Store keys that belong to a single project. */
+const PROJECT_KEYS = ['selectedTechIds', 'options', 'projectVariables', 'fragments', 'templateFiles'];
+
+/**
+ * Project-level variables every technology's fragments and templates can
+ * reference, as `project.<id>` or `project-<id>`. They take the same
+ * validation rules as freeform options (`option-validation.js`).
+ */
+export const PROJECT_VARIABLES = [
+  { id: 'name', label: 'Name', placeholder: 'e.g., my-project', required: true },
+  { id: 'description', label: 'Description', placeholder: 'e.g., Customer billing service' },
+  { id: 'org', label: 'Organization', placeholder: 'e.g., acme' },
+  { id: 'license', label: 'License', placeholder: 'e.g., MIT' },
+];
+
+/**
+ * Normalizes a project directory to the form `web/` or `packages/api/`.
+ * Returns '' for the repository root.
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizeProjectPath(path) {
+  const trimmed = (path || '')
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/^(\.\/)+/, '')
+    .replace(/^\/+|\/+$/g, '')
+    .replace(/\/{2,}/g, '/');
+  return trimmed ? trimmed + '/' : '';
+}
+
+/**
+ * Whether more than one project is defined.
+ * @returns {boolean}
+ */
+export function isMonorepo() {
+  return (store.get('projects') || []).length > 1;
+}
+
+/**
+ * Returns every project with its full state, the active one read live
+ * from the top-level store keys.
+ * @returns {Array<{ path: string, selectedTechIds: string[], options: Object, projectVariables: Object, fragments: Array, templateFiles: Array }>}
+ */
+export function getProjectStates() {
+  const projects = store.get('projects') || [];
+  const activeIndex = store.get('activeProjectIndex') || 0;
+
+  if (projects.length === 0) {
+    return [Object.assign({ path: '' }, snapshotActive())];
+  }
+
+  return projects.map((project, index) => (
+    index === activeIndex ? Object.assign({}, project, snapshotActive()) : project
+  ));
+}
+
+/**
+ * Adds a project at the given directory and makes it active.
+ * @param {string} path - Directory relative to the repository root.
+ * @throws {Error} If the path is empty or already used by another project.
+ */
+export function addProject(path) {
+  const normalized = normalizeProjectPath(path);
+  if (!normalized) {
+    throw new Error('Enter a directory for the project, e.g. web/.');
+  }
+
+  const projects = getProjectStates();
+  if (projects.some(p => p.path === normalized)) {
+    throw new Error(`A project already exists at ${normalized}.`);
+  }
+
+  projects.push({
+    path: normalized,
+    selectedTechIds: [],
+    options: {},
+    projectVariables: { name: normalized.slice(0, -1).split('/').pop() },
+    fragments: [],
+    templateFiles: [],
+  });
+  store.set('projects', projects);
+  loadProject(projects.length - 1);
+}
+
+/**
+ * Parks the active project and loads another into the top-level keys.
+ * @param {number} index
+ */
+export function switchProject(index) {
+  const projects = getProjectStates();
+  if (index < 0 || index >= projects.length || index === (store.get('activeProjectIndex') || 0)) {
+    return;
+  }
+
+  store.set('projects', projects);
+  loadProject(index);
+}
+
+/**
+ * Removes a sub-project. The root project cannot be removed.
+ * @param {number} index
+ */
+export function removeProject(index) {
+  if (index <= 0) {
+    return;
+  }
+
+  const projects = getProjectStates();
+  const activeIndex = store.get('activeProjectIndex') || 0;
+  projects.splice(index, 1);
+  store.set('projects', projects);
+
+  if (index === activeIndex) {
+    loadProject(0);
+  } else if (index < activeIndex) {
+    store.set('activeProjectIndex', activeIndex - 1);
+  }
+}
+
+/**
+ * Replaces every project, e.g. when restoring a session, and loads the
+ * root project. A single project is kept in the top-level keys only.
+ * @param {Array<{ path: string, selectedTechIds: string[], options: Object, projectVariables: Object, fragments: Array, templateFiles: Array }>} projects
+ */
+export function restoreProjects(projects) {
+  store.set('projects', projects.length > 1 ? projects : []);
+  store.set('activeProjectIndex', 0);
+  applyProject(projects[0]);
+}
+
+/**
+ * Copies the active project's top-level state.
+ * @returns {Object}
+ */
+function snapshotActive() {
+  const snapshot = {};
+  for (const key of PROJECT_KEYS) {
+    const value = store.get(key);
+    snapshot[key] = Array.isArray(value) ? [...value] : Object.assign({}, value);
+  }
+  return snapshot;
+}
+
+/**
+ * Moves a parked project into the top-level keys.
+ * @param {number} index
+ */
+function loadProject(index) {
+  store.set('activeProjectIndex', index);
+  applyProject(store.get('projects')[index]);
+}
+
+/**
+ * Writes a project's state to the top-level keys. selectedTechIds is set
+ * last because components re-render and reload fragments on that key.
+ * @param {Object} project
+ */
+function applyProject(project) {
+  store.set('options', project.options || {});
+  store.set('projectVariables', project.projectVariables || {});
+  store.set('fragments', project.fragments || []);
+  store.set('templateFiles', project.templateFiles || []);
+  store.set('selectedTechIds', project.selectedTechIds || []);
+}
@@ -70,11 +70,15 @@ export function parseFrontmatter(markdownText) {
 }
 
 /**
- * Parses a scalar YAML value (numbers, booleans, strings).
+ * Parses a scalar YAML value (numbers, booleans, strings), or a flow list
+ * of them such as `[playwright, cypress]`.
  * @param {string} raw - The raw string value.
- * @returns {string|number|boolean}
+ * @returns {string|number|boolean|Array}
  */
 function parseScalarValue(raw) {
+  if (raw.startsWith('[') && raw.endsWith(']')) {
+    return raw.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean).map(parseScalarValue);
+  }
   if (raw === 'true') return true;
   if (raw === 'false') return false;
   if (/^\d+$/.test(raw)) return parseInt(raw, 10);
@@ -88,7 +92,7 @@ function parseScalarValue(raw) {
 
 /**
  * Fetches and parses the prompt manifest from the local static assets.
- * Stores technologies in the store.
+ * Stores technologies and combinations in the store.
  * @returns {Promise<Object>} The parsed manifest.
  */
 export async function loadManifest() {
@@ -101,6 +105,8 @@ export async function loadManifest() {
 
   const manifest = await response.json();
   store.set('technologies', manifest.technologies);
+  store.set('combinations', manifest.combinations || []);
+  store.set('library', { version: manifest.version, commit: manifest.commit || null });
   return manifest;
 }
 
@@ -145,24 +151,20 @@ export async function loadFragments(technologyId) {
 
 /**
  * Loads combination fragments for the given set of technology IDs.
- * Finds matching combination entries in the manifest and loads their fragments.
+ * A combination lists one pattern per technology it needs: a technology ID,
+ * `category:<name>` for any technology in that category, or `*` for any
+ * technology. It matches when each pattern is met by a different selected
+ * technology. A fragment is replaced by fragments of the same category
+ * from a higher-`priority` combination covering the same technologies
+ * (see selectCombinationFragments()).
  * @param {string[]} techIds - Array of selected technology IDs.
  * @returns {Promise<Array<{ id: string, content: string, metadata: Object }>>}
  */
 export async function loadCombinationFragments(techIds) {
   const manifest = await getManifest();
-  const combinations = manifest.combinations || [];
-  const sortedIds = [...techIds].sort();
   const results = [];
 
-  for (const combo of combinations) {
-    const comboTechs = [...combo.technologies].sort();
-    const isMatch = comboTechs.every(t => sortedIds.includes(t));
-
-    if (!isMatch) {
-      continue;
-    }
-
+  for (const combo of getActiveCombinations(techIds, manifest.technologies, manifest.combinations || [])) {
     const comboDir = `/prompts/combinations/${combo.id}/fragments`;
     const fragmentPaths = combo.fragments || [];
 
@@ -186,20 +188,169 @@ export async function loadCombinationFragments(techIds) {
       })
     );
 
-    results.push(...fragments.filter(Boolean));
+    results.push(...fragments.filter(Boolean).map(fragment => ({ fragment, combo })));
   }
 
-  return results;
+  const selectedTechs = manifest.technologies.filter(t => techIds.includes(t.id));
+  return selectCombinationFragments(results, selectedTechs);
 }
 
 /**
- * Fetches template files for a given technology.
- * @param {string} technologyId - The technology identifier.
- * @returns {Promise<Array<{ sourcePath: string, outputPath: string, variables: string[], content: string }>>}
+ * Drops the combination fragments that more specific guidance replaces. A
+ * fragment is dropped when combinations of higher priority provide
+ * fragments of the same category and match the technologies it needs:
+ * its patterns can no longer be met without them. So for React + Cloudflare
+ * Workers the react+cloudflare-workers integration fragment replaces the
+ * generic frontend + backend one, but with Vue + Go also selected the
+ * generic one is kept for that pair.
+ * @param {Array<{ fragment: { metadata: Object }, combo: { technologies: string[], priority?: number } }>} entries -
+ *   Fragments of the active combinations, each with its combination.
+ * @param {Array<{ id: string, categories: string[] }>} selectedTechs
+ * @returns {Array} The fragments kept, in their original order.
+ */
+export function selectCombinationFragments(entries, selectedTechs) {
+  const byPriority = [...entries].sort((a, b) => getCombinationPriority(b.combo) - getCombinationPriority(a.combo));
+  const coverage = {};
+  const kept = new Set();
+
+  for (const entry of byPriority) {
+    const category = entry.fragment.metadata.category || 'general';
+    const priority = getCombinationPriority(entry.combo);
+    const covered = new Set((coverage[category] || [])
+      .filter(cover => cover.priority > priority)
+      .flatMap(cover => [...cover.techIds]));
+    const available = selectedTechs.filter(tech => !covered.has(tech.id));
+    if (!matchesCombination(entry.combo.technologies, available)) {
+      continue;
+    }
+
+    kept.add(entry);
+    (coverage[category] = coverage[category] || []).push({
+      priority,
+      techIds: getMatchedTechIds(entry.combo.technologies, available),
+    });
+  }
+
+  return entries.filter(entry => kept.has(entry)).map(entry => entry.fragment);
+}
+
+/**
+ * Lists the combinations that apply to a technology selection, in manifest
+ * order. Their options, templates and gitignore entries are used like a
+ * technology's while they apply.
+ * @param {string[]} techIds - Selected technology IDs.
+ * @param {Array} technologies - All technologies from the manifest.
+ * @param {Array} combinations - All combinations from the manifest.
+ * @returns {Array}
+ */
+export function getActiveCombinations(techIds, technologies, combinations) {
+  const selectedTechs = technologies.filter(t => techIds.includes(t.id));
+  return combinations.filter(combo => matchesCombination(combo.technologies, selectedTechs));
+}
+
+/**
+ * Whether each pattern of a combination is met by a different selected
+ * technology.
+ * @param {string[]} patterns - Technology IDs, `category:<name>` or `*`.
+ * @param {Array<{ id: string, categories: string[] }>} selectedTechs
+ * @returns {boolean}
+ */
+function matchesCombination(patterns, selectedTechs) {
+  const assign = (index, used) => {
+    if (index === patterns.length) {
+      return true;
+    }
+    return selectedTechs.some(tech => !used.includes(tech.id)
+      && matchesCombinationPattern(patterns[index], tech)
+      && assign(index + 1, [...used, tech.id]));
+  };
+  return assign(0, []);
+}
+
+/**
+ * Lists the technologies that take part in some way of meeting a
+ * combination's patterns, each by a different technology.
+ * @param {string[]} patterns - Technology IDs, `category:<name>` or `*`.
+ * @param {Array<{ id: string, categories: string[] }>} selectedTechs
+ * @returns {Set<string>}
+ */
+function getMatchedTechIds(patterns, selectedTechs) {
+  const matched = new Set();
+  const assign = (index, used) => {
+    if (index === patterns.length) {
+      used.forEach(id => matched.add(id));
+      return;
+    }
+    for (const tech of selectedTechs) {
+      if (!used.includes(tech.id) && matchesCombinationPattern(patterns[index], tech)) {
+        assign(index + 1, [...used, tech.id]);
+      }
+    }
+  };
+  assign(0, []);
+  return matched;
+}
+
+/**
+ * Whether a technology meets one combination pattern.
+ * @param {string} pattern - A technology ID, `category:<name>` or `*`.
+ * @param {{ id: string, categories: string[] }} tech
+ * @returns {boolean}
+ */
+function matchesCombinationPattern(pattern, tech) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (pattern.startsWith('category:')) {
+    return (tech.categories || []).includes(pattern.slice('category:'.length));
+  }
+  return pattern === tech.id;
+}
+
+/**
+ * A combination's `priority`, or by default its specificity: 2 for each
+ * technology ID, 1 for each category and 0 for each wildcard.
+ * @param {{ technologies: string[], priority?: number }} combo
+ * @returns {number}
+ */
+function getCombinationPriority(combo) {
+  if (typeof combo.priority === 'number') {
+    return combo.priority;
+  }
+  return combo.technologies.reduce((sum, pattern) => {
+    if (pattern === '*') {
+      return sum;
+    }
+    return sum + (pattern.startsWith('category:') ? 1 : 2);
+  }, 0);
+}
+
+/**
+ * Loads every fragment and template file (technology and combination) for
+ * a technology selection.
+ * @param {string[]} techIds - Array of selected technology IDs.
+ * @returns {Promise<{ fragments: Array, templateFiles: Array }>}
+ */
+export async function loadSelection(techIds) {
+  const manifest = await getManifest();
+  const fragmentResults = await Promise.all(techIds.map(id => loadFragments(id)));
+  const fragments = fragmentResults.flat();
+  fragments.push(...(await loadCombinationFragments(techIds)));
+
+  const comboIds = getActiveCombinations(techIds, manifest.technologies, manifest.combinations || []).map(c => c.id);
+  const templateResults = await Promise.all([...techIds, ...comboIds].map(id => loadTemplates(id)));
+  return { fragments, templateFiles: templateResults.flat() };
+}
+
+/**
+ * Fetches template files for a given technology or combination.
+ * @param {string} technologyId - The technology or combination identifier.
+ * @returns {Promise<Array<{ technology: string, sourcePath: string, outputPath: string, variables: string[], optionDependencies: ?Object, raw: boolean, merge: ?string, content: string }>>}
  */
 export async function loadTemplates(technologyId) {
   const manifest = await getManifest();
-  const tech = manifest.technologies.find(t => t.id === technologyId);
+  const tech = manifest.technologies.find(t => t.id === technologyId)
+    || (manifest.combinations || []).find(c => c.id === technologyId);
 
   if (!tech || !tech.templates) {
     return [];
@@ -217,9 +368,13 @@ export async function loadTemplates(technologyId) {
 
       const content = await response.text();
       return {
+        technology: technologyId,
         sourcePath: template.sourcePath,
         outputPath: template.outputPath,
         variables: template.variables || [],
+        optionDependencies: template.optionDependencies || null,
+        raw: template.raw || false,
+        merge: template.merge || null,
         content,
       };
     })
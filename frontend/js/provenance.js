@@ -0,0 +1,207 @@
+/**
+ * Provenance records (FR-503).
+ * A provenance record captures everything needed to regenerate a file:
+ * the selection and options of every project, the fragment versions used,
+ * the prompt library revision, and the user's local edits. It is written
+ * to the zip as `agentsdotmd.json` and embedded in generated markdown as an
+ * HTML comment that lists edited fragments by ID only, since their text is
+ * already in the document; importing either restores the session.
+ */
+import { store } from './store.js';
+import { loadSelection } from './prompt-loader.js';
+import { restoreProjects } from './projects.js';
+
+export const PROVENANCE_FILENAME = 'agentsdotmd.json';
+
+const RECORD_TOOL = 'agentsdotmd';
+const RECORD_SCHEMA = 1;
+const COMMENT_OPEN = '<!-- agentsdotmd:provenance';
+const COMMENT_CLOSE = '-->';
+
+/**
+ * Creates a provenance record.
+ * @param {Array<{ path: string, selectedTechIds: string[], options: Object, projectVariables: Object, fragments: Array }>} projects -
+ *   Every project, with the fragments that were included in its output.
+ * @param {Object} session - `localEdits`, `outputTargets`, `customFilename`,
+ *   `tokenBudget`, `includeToc` and `library` ({ version, commit }) from the store.
+ * @returns {Object}
+ */
+export function createProvenance(projects, session) {
+  const library = session.library || {};
+
+  return {
+    tool: RECORD_TOOL,
+    schema: RECORD_SCHEMA,
+    library: {
+      commit: library.commit || null,
+      manifestVersion: library.version || null,
+    },
+    outputTargets: session.outputTargets || [],
+    customFilename: session.customFilename || '',
+    tokenBudget: session.tokenBudget || 0,
+    includeToc: session.includeToc || false,
+    projects: projects.map(project => ({
+      path: project.path,
+      selectedTechIds: project.selectedTechIds,
+      options: project.options,
+      projectVariables: project.projectVariables || {},
+      fragments: project.fragments.map(f => ({
+        id: f.id,
+        version: (f.metadata && f.metadata.version) || null,
+      })),
+    })),
+    localEdits: session.localEdits || {},
+  };
+}
+
+/**
+ * Formats a record as an HTML comment for the end of a markdown file.
+ * `localEdits` is replaced by `editedFragments`, the IDs of the edited
+ * fragments, so the comment does not repeat the edits' text.
+ * `-->` inside string values is escaped so it cannot close the comment.
+ * @param {Object} record
+ * @returns {string}
+ */
+export function formatProvenanceComment(record) {
+  const { localEdits, ...rest } = record;
+  const inline = Object.assign(rest, { editedFragments: Object.keys(localEdits || {}) });
+  const json = JSON.stringify(inline).replace(/-->/g, '--\\u003e');
+  return `${COMMENT_OPEN}\n${json}\n${COMMENT_CLOSE}`;
+}
+
+/**
+ * Removes an embedded provenance comment from markdown text.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripProvenanceComment(text) {
+  const start = text.indexOf(COMMENT_OPEN);
+  if (start === -1) {
+    return text;
+  }
+  const end = text.indexOf(COMMENT_CLOSE, start + COMMENT_OPEN.length);
+  return end === -1 ? text : (text.slice(0, start) + text.slice(end + COMMENT_CLOSE.length)).trimEnd();
+}
+
+/**
+ * Extracts a provenance record from a generated markdown file or from the
+ * contents of `agentsdotmd.json`.
+ * @param {string} text
+ * @returns {?Object} The record, or null if the text carries none.
+ * @throws {Error} If a record is present but malformed.
+ */
+export function extractProvenance(text) {
+  const trimmed = text.trim();
+  let json = null;
+
+  if (trimmed.startsWith('{')) {
+    json = trimmed;
+  } else {
+    const start = trimmed.indexOf(COMMENT_OPEN);
+    if (start === -1) {
+      return null;
+    }
+    const end = trimmed.indexOf(COMMENT_CLOSE, start + COMMENT_OPEN.length);
+    if (end === -1) {
+      throw new Error('The provenance record in this file is incomplete.');
+    }
+    json = trimmed.slice(start + COMMENT_OPEN.length, end);
+  }
+
+  let record;
+  try {
+    record = JSON.parse(json);
+  } catch {
+    throw new Error('The provenance record in this file is not valid JSON.');
+  }
+
+  if (!record || record.tool !== RECORD_TOOL || !Array.isArray(record.projects)) {
+    throw new Error('This is not an AgentsDotMD provenance record.');
+  }
+  if (record.schema > RECORD_SCHEMA) {
+    throw new Error('This record was written by a newer version of AgentsDotMD.');
+  }
+
+  return record;
+}
+
+/**
+ * Restores a session from a provenance record: loads the fragments of
+ * every project, then replaces the projects, targets, budget, table of
+ * contents setting and local edits in the store. Technologies no longer
+ * in the library are skipped. A record from a markdown comment has no
+ * local edits; restoreLocalEdits() in `markdown-import.js` reads them
+ * back from the document.
+ * @param {Object} record
+ * @returns {Promise<{ warnings: string[] }>} Differences between the record
+ *   and the current library, e.g. fragments whose version changed.
+ */
+export async function restoreSession(record) {
+  const technologies = store.get('technologies') || [];
+  const library = store.get('library') || {};
+  const warnings = [];
+  const projects = [];
+
+  if (record.library && record.library.commit && library.commit && record.library.commit !== library.commit) {
+    warnings.push(`Generated from library commit ${record.library.commit.slice(0, 7)}; now on ${library.commit.slice(0, 7)}.`);
+  }
+
+  for (const recorded of record.projects) {
+    const known = (recorded.selectedTechIds || []).filter(id => technologies.some(t => t.id === id));
+    for (const id of recorded.selectedTechIds || []) {
+      if (!known.includes(id)) {
+        warnings.push(`Technology "${id}" is no longer in the library.`);
+      }
+    }
+
+    const { fragments, templateFiles } = await loadSelection(known);
+    warnings.push(...compareFragmentVersions(recorded.fragments || [], fragments));
+
+    projects.push({
+      path: recorded.path || '',
+      selectedTechIds: known,
+      options: recorded.options || {},
+      projectVariables: recorded.projectVariables || {},
+      fragments,
+      templateFiles,
+    });
+  }
+
+  if (projects.length === 0) {
+    throw new Error('The record does not contain any projects.');
+  }
+
+  store.set('outputTargets', record.outputTargets && record.outputTargets.length > 0 ? record.outputTargets : ['agents-md']);
+  store.set('customFilename', record.customFilename || '');
+  store.set('tokenBudget', record.tokenBudget || 0);
+  store.set('includeToc', record.includeToc || false);
+  store.set('localEdits', record.localEdits || {});
+  restoreProjects(projects);
+
+  return { warnings };
+}
+
+/**
+ * Lists recorded fragments that are missing or at a different version in
+ * the freshly loaded library.
+ * @param {Array<{ id: string, version: ?number }>} recorded
+ * @param {Array} loaded
+ * @returns {string[]}
+ */
+function compareFragmentVersions(recorded, loaded) {
+  const warnings = [];
+
+  for (const entry of recorded) {
+    const current = loaded.find(f => f.id === entry.id);
+    if (!current) {
+      warnings.push(`Fragment "${entry.id}" is no longer in the library.`);
+      continue;
+    }
+    const version = (current.metadata && current.metadata.version) || null;
+    if (entry.version !== null && version !== entry.version) {
+      warnings.push(`Fragment "${entry.id}" changed from version ${entry.version} to ${version}.`);
+    }
+  }
+
+  return warnings;
+}
@@ -6,14 +6,26 @@ class Store {
   constructor() {
     this._state = {
       technologies: [],
+      combinations: [],
+      library: null,
       selectedTechIds: [],
       options: {},
+      projectVariables: { name: 'my-project', description: '', org: '', license: '' },
       fragments: [],
       generatedMarkdown: '',
       templateFiles: [],
-      filename: 'AGENTS.md',
+      outputTargets: ['agents-md'],
+      customFilename: '',
       deliveryMode: 'download',
       localEdits: {},
+      existingFiles: {},
+      tokenBudget: 0,
+      tokenReport: null,
+      includeToc: false,
+      outlineReport: null,
+      duplicateReport: [],
+      projects: [],
+      activeProjectIndex: 0,
       githubToken: null,
     };
     this._listeners = new Map();
@@ -1,8 +1,38 @@
 /**
- * Template engine for variable interpolation.
- * Replaces {{variableName}} placeholders with provided values.
+ * Template engine shared by fragments and boilerplate templates.
+ * Supports `{{variable}}` placeholders, `{{#if expression}}...{{else}}...{{/if}}`
+ * conditionals and `{{#each list}}...{{/each}}` loops. Variables are dotted
+ * paths into a context object, e.g. `react.language`. Expressions support
+ * `==`, `!=`, `&&`, `||`, `!`, parentheses, and string, number and boolean
+ * literals. Placeholders can be piped through filters, e.g.
+ * `{{project-name | snake_case}}` or `{{port | default: 8080}}`.
+ * Unmatched placeholders and malformed tags are left as-is; renderStrict()
+ * reports them.
  */
 
+/** Matches any tag: `{{name}}`, `{{#if ...}}`, `{{/if}}`, `{{else}}`. */
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+
+/** Block helpers that open a section. */
+const BLOCK_TYPES = ['if', 'each'];
+
+/** Returned by evaluate() for an expression it cannot parse. */
+const MALFORMED = Symbol('malformed');
+
+/**
+ * Filters a placeholder can be piped through, by name. `default` is handled
+ * separately since it applies to missing values.
+ */
+const FILTERS = {
+  snake_case: value => toWords(value).join('_'),
+  kebab_case: value => toWords(value).join('-'),
+  upper: value => String(value).toUpperCase(),
+  basename: value => String(value).replace(/\/+$/, '').split('/').pop(),
+};
+
+/** Matches one expression token. */
+const EXPRESSION_TOKEN = /\s*(==|!=|&&|\|\||!|\(|\)|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|-?\d+(?:\.\d+)?|[A-Za-z_@][\w@-]*(?:\.[\w@-]+)*)/y;
+
 /**
  * Escapes HTML special characters to prevent injection.
  * @param {string} str - The string to escape.
@@ -20,36 +50,256 @@ export function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+/**
+ * Escapes a value for a TOML basic string (between double quotes).
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeToml(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/[\x00-\x1f\x7f]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+}
+
+/**
+ * Escapes a value for a YAML scalar. Plain words are left as they are;
+ * anything YAML would read differently (quotes, colons, leading symbols,
+ * numbers, booleans, null) becomes a double-quoted string.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeYaml(value) {
+  const text = String(value);
+  const plain = /^[A-Za-z_][\w./-]*(?: [\w./-]+)*$/.test(text);
+  const reserved = /^(?:true|false|yes|no|on|off|null|y|n)$/i.test(text);
+  return plain && !reserved ? text : JSON.stringify(text);
+}
+
+/**
+ * Escapes a value for a JSON string (between double quotes).
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeJson(value) {
+  return JSON.stringify(String(value)).slice(1, -1);
+}
+
+/**
+ * Escapes a value for a shell word, single-quoting it unless it consists
+ * only of characters the shell takes literally.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeShell(value) {
+  const text = String(value);
+  return /^[\w@%+=:,./-]+$/.test(text) ? text : "'" + text.replace(/'/g, "'\\''") + "'";
+}
+
+/**
+ * Escapes a value for a Makefile: `$` is doubled, `#` would start a comment
+ * and a line break would end the line.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeMake(value) {
+  return String(value)
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\$/g, '$$$$')
+    .replace(/#/g, '\\#');
+}
+
+/**
+ * Escapes a value for inline markdown, so it cannot add emphasis, code,
+ * links or HTML, and cannot break out of its line.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeMarkdown(value) {
+  return String(value)
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+/**
+ * Reverses escapeMarkdown() (line breaks excepted).
+ * @param {string} text
+ * @returns {string}
+ */
+export function unescapeMarkdown(text) {
+  return String(text).replace(/\\([\\`*_[\]<>|])/g, '$1');
+}
+
+/**
+ * Picks the escape function for values interpolated into a file, by its
+ * name or extension. Files of unknown types get values as they are.
+ * @param {string} path - Output path, e.g. `Cargo.toml` or `api/Makefile`.
+ * @returns {function(*): string}
+ */
+export function getEscaper(path) {
+  const filename = String(path || '').split('/').pop();
+  const extension = filename.includes('.') ? filename.slice(filename.lastIndexOf('.') + 1).toLowerCase() : '';
+
+  if (filename === 'Makefile' || extension === 'mk') {
+    return escapeMake;
+  }
+  if (filename === 'Dockerfile' || filename.startsWith('.env') || extension === 'sh' || extension === 'bash') {
+    return escapeShell;
+  }
+  switch (extension) {
+    case 'toml':
+      return escapeToml;
+    case 'yml':
+    case 'yaml':
+      return escapeYaml;
+    case 'json':
+      return escapeJson;
+    case 'md':
+    case 'mdc':
+      return escapeMarkdown;
+    case 'html':
+    case 'htm':
+      return escapeHtml;
+    default:
+      return String;
+  }
+}
+
+/**
+ * Renders a template against a context object.
+ * @param {string} templateContent - Template with placeholders and blocks.
+ * @param {Object} context - Values looked up by dotted path.
+ * @param {Object} [settings]
+ * @param {function(*): string} [settings.escape] - Applied to every
+ *   interpolated value; values are inserted as-is by default.
+ * @returns {string}
+ */
+export function render(templateContent, context, settings = {}) {
+  return renderStrict(templateContent, context, settings).content;
+}
+
+/**
+ * Renders a template like render() and also reports every placeholder that
+ * was left unresolved: missing, empty, or piped through an unknown filter.
+ * Placeholders inside branches that were not taken are not reported.
+ * @param {string} templateContent - Template with placeholders and blocks.
+ * @param {Object} context - Values looked up by dotted path.
+ * @param {Object} [settings] - As for render().
+ * @returns {{ content: string, unresolved: string[] }} The rendered content
+ *   and the unresolved placeholders as written, without duplicates.
+ */
+export function renderStrict(templateContent, context, settings = {}) {
+  if (!templateContent || typeof templateContent !== 'string') {
+    return { content: templateContent || '', unresolved: [] };
+  }
+  const state = { escape: settings.escape || String, unresolved: [] };
+  const content = renderNodes(parse(templateContent), context || {}, state);
+  return { content, unresolved: [...new Set(state.unresolved)] };
+}
+
+/**
+ * Builds the context fragments and templates are rendered against from the
+ * options store and the project variables. Every technology's options are
+ * available as `techId.optionId` and the project variables as
+ * `project.name`, `project.description` and so on. A bare name resolves
+ * to, in order:
+ * 1. the given technology's own option, if it has a value;
+ * 2. the project variable of that name prefixed with `project-`, e.g.
+ *    `project-name` for `project.name`;
+ * 3. another technology's option, but only when every technology that
+ *    sets it agrees on the value (see findOptionConflicts()).
+ * @param {Object} options - Nested options: { techId: { optionId: value } }
+ * @param {string} [techId] - Technology whose options bare names prefer.
+ * @param {Object} [projectVariables] - { name, description, org, license }
+ * @returns {Object}
+ */
+export function createContext(options, techId, projectVariables) {
+  const context = {};
+
+  for (const [name, values] of Object.entries(collectBareValues(options))) {
+    if (values.every(entry => looseEquals(entry.value, values[0].value))) {
+      context[name] = values[0].value;
+    }
+  }
+
+  const project = Object.assign({}, projectVariables);
+  for (const [key, value] of Object.entries(project)) {
+    if (!isEmpty(value)) {
+      context['project-' + key] = value;
+    }
+  }
+
+  Object.assign(context, options || {}, { project });
+
+  const own = techId && options ? options[techId] : null;
+  if (isPlainObject(own)) {
+    for (const [name, value] of Object.entries(own)) {
+      if (!isEmpty(value)) {
+        context[name] = value;
+      }
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Finds bare option names that several technologies set to different
+ * values. Such a name only resolves inside each technology's own fragments
+ * and templates; elsewhere it has to be written as `techId.optionId`.
+ * @param {Object} options - Nested options: { techId: { optionId: value } }
+ * @returns {Array<{ name: string, values: Array<{ techId: string, value: * }> }>}
+ */
+export function findOptionConflicts(options) {
+  return Object.entries(collectBareValues(options))
+    .filter(([, values]) => values.some(entry => !looseEquals(entry.value, values[0].value)))
+    .map(([name, values]) => ({ name, values }));
+}
+
+/**
+ * Groups the non-empty option values of every technology by option name.
+ * @param {Object} options - Nested options: { techId: { optionId: value } }
+ * @returns {Object<string, Array<{ techId: string, value: * }>>}
+ */
+function collectBareValues(options) {
+  const byName = {};
+  for (const [techId, techOpts] of Object.entries(options || {})) {
+    if (!isPlainObject(techOpts)) {
+      continue;
+    }
+    for (const [name, value] of Object.entries(techOpts)) {
+      if (!isEmpty(value)) {
+        (byName[name] = byName[name] || []).push({ techId, value });
+      }
+    }
+  }
+  return byName;
+}
+
 /**
  * Replaces all {{variableName}} placeholders in the template with values
- * from the variables object. Values are HTML-escaped to prevent injection.
- * Unmatched placeholders are left as-is.
+ * from the variables object, escaped for the type of file being written
+ * (see getEscaper()). Unmatched placeholders are left as-is. Blocks are
+ * evaluated as in render().
  *
  * @param {string} templateContent - The template string containing {{variable}} placeholders.
  * @param {Object} variables - Key-value map of variable names to their values.
+ * @param {string} [outputPath] - Path of the file the result is written to.
  * @returns {string} The interpolated string.
  */
-export function interpolate(templateContent, variables) {
-  if (!templateContent || typeof templateContent !== 'string') {
-    return templateContent || '';
-  }
-
+export function interpolate(templateContent, variables, outputPath) {
   if (!variables || typeof variables !== 'object') {
-    return templateContent;
+    return templateContent || '';
   }
-
-  return templateContent.replace(/\{\{([^}]+)\}\}/g, (match, varName) => {
-    const trimmed = varName.trim();
-    if (Object.prototype.hasOwnProperty.call(variables, trimmed)) {
-      return escapeHtml(variables[trimmed]);
-    }
-    return match;
-  });
+  return render(templateContent, variables, { escape: getEscaper(outputPath) });
 }
 
 /**
- * Extracts all unique variable names found in a template string.
- * Looks for {{variableName}} patterns and returns an array of unique names.
+ * Extracts all unique variable names found in a template string: plain
+ * placeholders and the paths used by block expressions.
  *
  * @param {string} templateContent - The template string to scan.
  * @returns {string[]} Array of unique variable names found in the template.
@@ -59,13 +309,446 @@ export function extractVariables(templateContent) {
     return [];
   }
 
-  const regex = /\{\{([^}]+)\}\}/g;
   const variables = new Set();
-  let match;
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'var' && isContextPath(node.path)) {
+        variables.add(node.path);
+      } else if (node.type === 'if' || node.type === 'each') {
+        for (const token of tokenize(node.expression) || []) {
+          if (token.type === 'path' && isContextPath(token.value)) {
+            variables.add(token.value);
+          }
+        }
+        visit(node.children);
+        visit(node.alternate || []);
+      }
+    }
+  };
+  visit(parse(templateContent));
+
+  return Array.from(variables);
+}
+
+/**
+ * Whether a path refers to the context rather than to an `{{#each}}` item.
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isContextPath(path) {
+  return path !== '' && !path.startsWith('@') && path !== 'this' && !path.startsWith('this.');
+}
+
+/**
+ * Parses a template into text, variable and block nodes. A block tag alone
+ * on its line takes the whole line with it, so blocks leave no blank lines.
+ * Unclosed blocks and stray closing tags are kept as literal text.
+ * @param {string} content
+ * @returns {Array<Object>}
+ */
+function parse(content) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.alternate || node.children;
+  };
+  let last = 0;
+
+  for (const match of content.matchAll(TAG_PATTERN)) {
+    const [raw, sigil, body] = match;
+    const current = stack[stack.length - 1];
+    const keyword = body.split(/\s/)[0];
+
+    let action = 'text';
+    if (sigil === '#' && BLOCK_TYPES.includes(keyword)) {
+      action = 'open';
+    } else if (sigil === '/' && stack.length > 1 && body === current.type) {
+      action = 'close';
+    } else if (sigil === '' && body === 'else' && current.type === 'if' && !current.alternate) {
+      action = 'else';
+    } else if (sigil === '') {
+      action = 'var';
+    }
+
+    // Drop the line of a block tag that stands alone on it
+    let start = match.index;
+    let end = match.index + raw.length;
+    if (action === 'open' || action === 'close' || action === 'else') {
+      const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+      const newline = content.indexOf('\n', end);
+      const lineEnd = newline === -1 ? content.length : newline;
+      if (lineStart >= last && content.slice(lineStart, start).trim() === '' && content.slice(end, lineEnd).trim() === '') {
+        start = lineStart;
+        end = newline === -1 ? lineEnd : newline + 1;
+      }
+    }
 
-  while ((match = regex.exec(templateContent)) !== null) {
-    variables.add(match[1].trim());
+    pushText(target(), content.slice(last, start));
+    last = end;
+
+    if (action === 'open') {
+      const node = { type: keyword, expression: body.slice(keyword.length).trim(), raw, children: [], alternate: null };
+      target().push(node);
+      stack.push(node);
+    } else if (action === 'close') {
+      stack.pop();
+    } else if (action === 'else') {
+      current.alternate = [];
+    } else if (action === 'var') {
+      target().push(parseVariable(body, raw));
+    } else {
+      pushText(target(), raw);
+    }
   }
+  pushText(target(), content.slice(last));
 
-  return Array.from(variables);
+  // Unclosed blocks render as the literal text they were written as
+  while (stack.length > 1) {
+    const node = stack.pop();
+    const parent = stack[stack.length - 1];
+    const siblings = parent.children.includes(node) ? parent.children : parent.alternate;
+    const literal = [{ type: 'text', value: node.raw }, ...node.children];
+    if (node.alternate) {
+      literal.push({ type: 'text', value: '{{else}}' }, ...node.alternate);
+    }
+    siblings.splice(siblings.indexOf(node), 1, ...literal);
+  }
+
+  return root.children;
+}
+
+/**
+ * Parses a placeholder into its path and filters, e.g.
+ * `port | default: 8080` into path `port` and a `default` filter.
+ * @param {string} body - Tag content without the braces.
+ * @param {string} raw - The tag as written.
+ * @returns {{ type: string, path: string, filters: Array<{ name: string, argument: ?string }>, raw: string }}
+ */
+function parseVariable(body, raw) {
+  const [path, ...filters] = body.split('|').map(part => part.trim());
+  return {
+    type: 'var',
+    path,
+    filters: filters.map((filter) => {
+      const colon = filter.indexOf(':');
+      return colon === -1
+        ? { name: filter, argument: null }
+        : { name: filter.slice(0, colon).trim(), argument: filter.slice(colon + 1).trim() };
+    }),
+    raw,
+  };
+}
+
+/**
+ * Resolves a placeholder and applies its filters in order. `default`
+ * replaces a missing or empty value with its argument, a literal or a
+ * path; the other filters pass a missing value through.
+ * @param {Object} node - A var node.
+ * @param {Object} context
+ * @returns {*} The value, or undefined if it cannot be resolved.
+ */
+function resolveVariable(node, context) {
+  let value = lookup(context, node.path);
+
+  for (const filter of node.filters) {
+    if (filter.name === 'default') {
+      const tokens = tokenize(filter.argument || '');
+      if (!tokens || tokens.length !== 1 || tokens[0].type === 'op') {
+        return undefined;
+      }
+      if (isEmpty(value)) {
+        value = tokens[0].type === 'path' ? lookup(context, tokens[0].value) : tokens[0].value;
+      }
+    } else if (!Object.prototype.hasOwnProperty.call(FILTERS, filter.name)) {
+      return undefined;
+    } else if (!isEmpty(value)) {
+      value = FILTERS[filter.name](value);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Appends text to a node list, skipping empty strings.
+ * @param {Array<Object>} nodes
+ * @param {string} value
+ */
+function pushText(nodes, value) {
+  if (value) {
+    nodes.push({ type: 'text', value });
+  }
+}
+
+/**
+ * Renders parsed nodes.
+ * @param {Array<Object>} nodes
+ * @param {Object} context
+ * @param {{ escape: function(*): string, unresolved: string[] }} state -
+ *   The escape function, and the list unresolved placeholders are added to.
+ * @returns {string}
+ */
+function renderNodes(nodes, context, state) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const value = resolveVariable(node, context);
+      if (isEmpty(value)) {
+        state.unresolved.push(node.raw);
+      }
+      output += value === undefined || value === null ? node.raw : state.escape(value);
+    } else if (node.type === 'if') {
+      const result = evaluate(node.expression, context);
+      if (result === MALFORMED) {
+        output += node.raw + renderNodes(node.children, context, state);
+        if (node.alternate) {
+          output += '{{else}}' + renderNodes(node.alternate, context, state);
+        }
+        output += '{{/if}}';
+      } else if (isTruthy(result)) {
+        output += renderNodes(node.children, context, state);
+      } else if (node.alternate) {
+        output += renderNodes(node.alternate, context, state);
+      }
+    } else if (node.type === 'each') {
+      output += renderEach(node, context, state);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders an `{{#each}}` block once per array item or object entry. Inside
+ * the block `this` is the item, `@index` its position and `@key` its key;
+ * an object item's properties are also available by name.
+ * @param {Object} node
+ * @param {Object} context
+ * @param {Object} state - As for renderNodes().
+ * @returns {string}
+ */
+function renderEach(node, context, state) {
+  const list = lookup(context, node.expression);
+  if (list === undefined || list === null || typeof list !== 'object') {
+    return '';
+  }
+
+  const entries = Array.isArray(list) ? list.map((item, index) => [index, item]) : Object.entries(list);
+  return entries.map(([key, item], index) => {
+    const scope = Object.assign({}, context, isPlainObject(item) ? item : {}, {
+      this: item,
+      '@index': index,
+      '@key': key,
+    });
+    return renderNodes(node.children, scope, state);
+  }).join('');
+}
+
+/**
+ * Resolves a dotted path in the context.
+ * @param {Object} context
+ * @param {string} path
+ * @returns {*} The value, or undefined if any segment is missing.
+ */
+function lookup(context, path) {
+  let value = context;
+  for (const segment of path.split('.')) {
+    if (value === undefined || value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Evaluates a block expression.
+ * @param {string} expression
+ * @param {Object} context
+ * @returns {*} The result, or MALFORMED if the expression cannot be parsed.
+ */
+function evaluate(expression, context) {
+  const tokens = tokenize(expression);
+  if (!tokens || tokens.length === 0) {
+    return MALFORMED;
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const accept = (value) => {
+    if (peek() && peek().type === 'op' && peek().value === value) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (accept('||')) {
+      const right = parseAnd();
+      left = isTruthy(left) ? left : right;
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (accept('&&')) {
+      const right = parseUnary();
+      left = isTruthy(left) ? right : left;
+    }
+    return left;
+  };
+  const parseUnary = () => (accept('!') ? !isTruthy(parseUnary()) : parseComparison());
+  const parseComparison = () => {
+    const left = parsePrimary();
+    if (accept('==')) {
+      return looseEquals(left, parsePrimary());
+    }
+    if (accept('!=')) {
+      return !looseEquals(left, parsePrimary());
+    }
+    return left;
+  };
+  const parsePrimary = () => {
+    if (accept('(')) {
+      const value = parseOr();
+      if (!accept(')')) {
+        throw new SyntaxError('Expected )');
+      }
+      return value;
+    }
+    const token = next();
+    if (!token || token.type === 'op') {
+      throw new SyntaxError('Expected a value');
+    }
+    return token.type === 'path' ? lookup(context, token.value) : token.value;
+  };
+
+  try {
+    const result = parseOr();
+    return position === tokens.length ? result : MALFORMED;
+  } catch {
+    return MALFORMED;
+  }
+}
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} expression
+ * @returns {?Array<{ type: string, value: * }>} Null if it contains
+ *   anything that is not a valid token.
+ */
+function tokenize(expression) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+
+  while (EXPRESSION_TOKEN.lastIndex < expression.length) {
+    if (expression.slice(EXPRESSION_TOKEN.lastIndex).trim() === '') {
+      break;
+    }
+    const match = EXPRESSION_TOKEN.exec(expression);
+    if (!match) {
+      return null;
+    }
+    tokens.push(toToken(match[1]));
+  }
+
+  return tokens;
+}
+
+/**
+ * Classifies a raw token.
+ * @param {string} raw
+ * @returns {{ type: string, value: * }}
+ */
+function toToken(raw) {
+  if (['==', '!=', '&&', '||', '!', '(', ')'].includes(raw)) {
+    return { type: 'op', value: raw };
+  }
+  if (raw.startsWith('"') || raw.startsWith("'")) {
+    return { type: 'literal', value: raw.slice(1, -1).replace(/\\(.)/g, '$1') };
+  }
+  if (/^-?\d/.test(raw)) {
+    return { type: 'literal', value: Number(raw) };
+  }
+  if (raw === 'true' || raw === 'false') {
+    return { type: 'literal', value: raw === 'true' };
+  }
+  if (raw === 'null') {
+    return { type: 'literal', value: null };
+  }
+  return { type: 'path', value: raw };
+}
+
+/**
+ * Compares two values, treating a number and its string form as equal so
+ * freeform option values can be compared with number literals. A
+ * multi-select value equals a single value it contains, so
+ * `{{#if test-tools == "jest"}}` is true when Jest is among the selected,
+ * and two multi-select values are equal when they hold the same choices.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function looseEquals(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every(item => b.some(other => looseEquals(item, other)));
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return Array.isArray(a) ? a.some(item => looseEquals(item, b)) : b.some(item => looseEquals(a, item));
+  }
+  if (a === undefined || a === null || b === undefined || b === null) {
+    return false;
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Truthiness for block helpers: empty arrays and empty strings are false.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Whether a placeholder value counts as missing: undefined, null, an empty
+ * string or an empty multi-select.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Splits a value into lowercase words at separators and camelCase humps,
+ * for the case filters.
+ * @param {*} value
+ * @returns {string[]}
+ */
+function toWords(value) {
+  return String(value)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z\d]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
 }
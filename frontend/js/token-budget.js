@@ -0,0 +1,139 @@
+/**
+ * Token estimation and budget trimming.
+ * Counts are estimates (roughly four characters per token) — close enough to
+ * compare fragments and keep a generated file inside an agent's context
+ * budget without shipping a tokenizer to the browser.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/** Priority of fragments without a `priority` field, by category. */
+const GENERAL_PRIORITY = 100;
+const DEFAULT_PRIORITY = 50;
+
+/** Abbreviations whose trailing period does not end a sentence. */
+const ABBREVIATION_PATTERN = /\b(e\.g|i\.e|etc|vs)\.$/i;
+
+/**
+ * Estimates the number of tokens in a piece of text.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Formats a token count for display, e.g. 850 → "850", 3240 → "3.2k".
+ * @param {number} count
+ * @returns {string}
+ */
+export function formatTokens(count) {
+  if (count < 1000) {
+    return String(count);
+  }
+  return (count / 1000).toFixed(1).replace(/\.0$/, '') + 'k';
+}
+
+/**
+ * Returns a fragment's trimming priority; lower values are cut first.
+ * Uses the `priority` frontmatter field when present, otherwise ranks
+ * `general` fragments above everything else.
+ * @param {Object} fragment
+ * @returns {number}
+ */
+export function getFragmentPriority(fragment) {
+  const metadata = fragment.metadata || {};
+  if (typeof metadata.priority === 'number') {
+    return metadata.priority;
+  }
+  return metadata.category === 'general' ? GENERAL_PRIORITY : DEFAULT_PRIORITY;
+}
+
+/**
+ * Shortens fragment content by keeping headings and only the first
+ * sentence of each bullet or paragraph line.
+ * @param {string} content
+ * @returns {string}
+ */
+export function compactContent(content) {
+  return content
+    .split('\n')
+    .map(line => (/^\s*#/.test(line) ? line : firstSentence(line)))
+    .join('\n');
+}
+
+/**
+ * Trims fragments to fit a token budget. Fragments are visited from lowest
+ * priority, later fragments first among equals. Each visited fragment is
+ * compacted if that alone brings the total under budget; otherwise it is
+ * dropped and the next one is visited.
+ * @param {Array} fragments - Fragments in document order.
+ * @param {Object} contents - Map of fragmentId -> content as it will be rendered.
+ * @param {number} available - Tokens available for fragment content.
+ * @returns {{ fragments: Array, contents: Object, cuts: Array<{ id: string, action: string, tokens: number }> }}
+ *   The kept fragments, contents with compacted entries replaced, and what was cut.
+ */
+export function trimToBudget(fragments, contents, available) {
+  const tokens = new Map(fragments.map(f => [f.id, estimateTokens(contents[f.id])]));
+  let total = 0;
+  for (const count of tokens.values()) {
+    total += count;
+  }
+
+  const trimmedContents = Object.assign({}, contents);
+  const dropped = new Set();
+  const cuts = [];
+
+  const candidates = fragments
+    .map((fragment, index) => ({ fragment, index }))
+    .sort((a, b) => (getFragmentPriority(a.fragment) - getFragmentPriority(b.fragment)) || (b.index - a.index));
+
+  for (const { fragment } of candidates) {
+    if (total <= available) {
+      break;
+    }
+
+    const current = tokens.get(fragment.id);
+    const compacted = compactContent(trimmedContents[fragment.id]);
+    const compactedTokens = estimateTokens(compacted);
+
+    if (compactedTokens < current && total - current + compactedTokens <= available) {
+      trimmedContents[fragment.id] = compacted;
+      cuts.push({ id: fragment.id, action: 'compacted', tokens: current - compactedTokens });
+      total = total - current + compactedTokens;
+      break;
+    }
+
+    dropped.add(fragment.id);
+    cuts.push({ id: fragment.id, action: 'dropped', tokens: current });
+    total -= current;
+  }
+
+  return {
+    fragments: fragments.filter(f => !dropped.has(f.id)),
+    contents: trimmedContents,
+    cuts,
+  };
+}
+
+/**
+ * Returns the first sentence of a line, ignoring periods inside code spans
+ * and after common abbreviations. Lines with one sentence are unchanged.
+ * @param {string} line
+ * @returns {string}
+ */
+function firstSentence(line) {
+  let inCode = false;
+
+  for (let i = 0; i < line.length - 1; i++) {
+    const ch = line[i];
+    if (ch === '`') {
+      inCode = !inCode;
+    } else if (!inCode && '.!?'.includes(ch) && line[i + 1] === ' ' && !ABBREVIATION_PATTERN.test(line.slice(0, i + 1))) {
+      return line.slice(0, i + 1);
+    }
+  }
+
+  return line;
+}
@@ -3,39 +3,135 @@
  * Uses JSZip to package generated files for download.
  */
 import { store } from './store.js';
+import { generateFiles, getSelectedTargets, getPrimaryFilename, buildProvenance, assembleTemplateFiles, collectEnvironmentVariables, findUnresolvedFragmentVariables } from './generator.js';
+import { getProjectStates } from './projects.js';
+import { getActiveCombinations } from './prompt-loader.js';
+import { PROVENANCE_FILENAME } from './provenance.js';
+import { mergeManagedRegion } from './managed-region.js';
+import { mergeFileContents } from './file-merge.js';
+import { escapeShell } from './template-engine.js';
 import JSZip from '../vendor/jszip.min.js';
 
 /**
- * Builds a zip archive containing the generated markdown file,
- * interpolated template files, and a composite .gitignore.
- * @returns {Promise<Blob>} The zip archive as a Blob.
+ * Files assembled from `meta.json` entries of every selected technology,
+ * the way `.gitignore` is. Each builder returns the file content, or an
+ * empty string when no selected technology contributes to it.
  */
-export async function buildZip() {
-  const zip = new JSZip();
+const COMPOSITE_FILES = [
+  { path: '.gitignore', build: (project, technologies) => buildCompositeIgnore(project.selectedTechIds || [], technologies, 'gitignore') },
+  { path: '.dockerignore', build: (project, technologies) => buildCompositeIgnore(project.selectedTechIds || [], technologies, 'dockerignore') },
+  { path: '.editorconfig', build: (project, technologies) => buildCompositeEditorConfig(project.selectedTechIds || [], technologies) },
+  { path: '.env.example', build: buildCompositeEnvExample },
+];
 
-  const filename = store.get('filename') || 'AGENTS.md';
-  const generatedMarkdown = store.get('generatedMarkdown') || '';
-  const templateFiles = store.get('templateFiles') || [];
-  const options = store.get('options') || {};
+/** Properties written to the `[*]` section of every composite .editorconfig. */
+const EDITORCONFIG_DEFAULTS = {
+  charset: 'utf-8',
+  end_of_line: 'lf',
+  insert_final_newline: true,
+  trim_trailing_whitespace: true,
+};
+
+/**
+ * Collects every file to deliver: the generated output files, rendered
+ * template files, the composite files (`.gitignore`, `.dockerignore`,
+ * `.editorconfig`, `.env.example`) and the `agentsdotmd.json` provenance
+ * record. In monorepo mode each project's templates and composite files
+ * are placed under that project's directory. Output files the
+ * user attached an existing version of (`store.existingFiles`) are merged
+ * into it so content outside the managed region is kept.
+ * Shared by the zip download and the GitHub PR flow.
+ * @param {{ mergeExisting?: boolean }} [settings] - Pass `mergeExisting:
+ *   false` to skip the merge, as for pull requests, which the worker merges
+ *   into the files on the branch.
+ * @returns {Array<{ path: string, content: string }>}
+ */
+export function gatherProjectFiles({ mergeExisting = true } = {}) {
   const technologies = store.get('technologies') || [];
-  const selectedTechIds = store.get('selectedTechIds') || [];
+  const existingFiles = mergeExisting ? store.get('existingFiles') || {} : {};
+
+  // Add the generated output file(s), merged into any attached existing version
+  const files = generateFiles().map(file => ({
+    path: file.path,
+    content: mergeManagedRegion(existingFiles[file.path] || null, file.content),
+  }));
 
-  // Add the generated markdown file
-  zip.file(filename, generatedMarkdown);
+  for (const project of getProjectStates()) {
+    // Add rendered template files
+    const projectFiles = renderProjectTemplates(project).map(file => ({ path: file.path, content: file.content }));
 
-  // Flatten options for template interpolation
-  const flatOptions = flattenOptions(options);
+    // Build and add composite files, appended to a template of the same path
+    for (const composite of COMPOSITE_FILES) {
+      const content = composite.build(project, technologies);
+      if (!content) {
+        continue;
+      }
+      const path = project.path + composite.path;
+      const template = projectFiles.find(file => file.path === path);
+      if (template) {
+        template.content = mergeFileContents(path, [template.content, content], 'append').content;
+      } else {
+        projectFiles.push({ path, content });
+      }
+    }
 
-  // Add interpolated template files
-  for (const template of templateFiles) {
-    const interpolatedContent = interpolateTemplate(template.content, flatOptions);
-    zip.file(template.outputPath, interpolatedContent);
+    files.push(...projectFiles);
   }
 
-  // Build and add composite .gitignore
-  const gitignoreContent = buildCompositeGitignore(selectedTechIds, technologies);
-  if (gitignoreContent) {
-    zip.file('.gitignore', gitignoreContent);
+  // Record how the files were generated so the session can be re-imported
+  files.push({ path: PROVENANCE_FILENAME, content: JSON.stringify(buildProvenance(), null, 2) + '\n' });
+
+  return files;
+}
+
+/**
+ * Lists the placeholders every project would ship unresolved, in its
+ * fragments and template files, so they can be shown before export.
+ * @returns {Array<{ path: string, unresolved: string[] }>} One entry per
+ *   file with at least one unresolved placeholder; fragments are reported
+ *   under the project's primary markdown file.
+ */
+export function findUnresolvedVariables() {
+  const localEdits = store.get('localEdits') || {};
+  const results = [];
+  for (const project of getProjectStates()) {
+    const fragmentUnresolved = findUnresolvedFragmentVariables(project, localEdits);
+    if (fragmentUnresolved.length > 0) {
+      results.push({ path: project.path + getPrimaryFilename(), unresolved: fragmentUnresolved });
+    }
+    for (const file of renderProjectTemplates(project)) {
+      if (file.unresolved.length > 0) {
+        results.push({ path: file.path, unresolved: file.unresolved });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Renders the template files a project's options include, merging those
+ * that target the same file, placed under the project's directory.
+ * @param {{ path: string, selectedTechIds: string[], options: Object, projectVariables: Object, templateFiles: Array }} project
+ * @returns {Array<{ path: string, content: string, unresolved: string[] }>}
+ */
+function renderProjectTemplates(project) {
+  return assembleTemplateFiles(project.templateFiles || [], project.options || {}, project.projectVariables, project.selectedTechIds).map(file => ({
+    path: project.path + file.path,
+    content: file.content,
+    unresolved: file.unresolved,
+  }));
+}
+
+/**
+ * Builds a zip archive containing every file from gatherProjectFiles(),
+ * each placed at its path.
+ * @returns {Promise<Blob>} The zip archive as a Blob.
+ */
+export async function buildZip() {
+  const zip = new JSZip();
+
+  for (const file of gatherProjectFiles()) {
+    zip.file(file.path, file.content);
   }
 
   return zip.generateAsync({ type: 'blob' });
@@ -47,8 +143,11 @@ export async function buildZip() {
  */
 export async function downloadZip() {
   const blob = await buildZip();
-  const filename = store.get('filename') || 'AGENTS.md';
-  const zipFilename = filename.replace(/\.md$/, '') + '-project.zip';
+  const targets = getSelectedTargets();
+  const baseName = targets.length === 1
+    ? (targets[0].getFilename ? targets[0].getFilename().replace(/\.md$/, '') : targets[0].id)
+    : 'agentsdotmd';
+  const zipFilename = baseName + '-project.zip';
 
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
@@ -61,61 +160,103 @@ export async function downloadZip() {
 }
 
 /**
- * Flattens nested options object into a flat key-value map.
- * @param {Object} options - Nested options: { techId: { optionId: value } }
- * @returns {Object} Flat map of variable names to values.
+ * Builds a composite ignore file by merging the entries every selected
+ * technology, then every active combination, lists under `key` in its
+ * meta.json, e.g. `gitignore`.
+ * @param {string[]} selectedTechIds - Selected technology IDs.
+ * @param {Array} technologies - All technologies from the manifest.
+ * @param {string} key - `gitignore` or `dockerignore`.
+ * @returns {string} The composite file content, or empty string if none.
  */
-function flattenOptions(options) {
-  const flat = {};
-  for (const [techId, techOpts] of Object.entries(options)) {
-    if (typeof techOpts === 'object' && techOpts !== null) {
-      for (const [key, value] of Object.entries(techOpts)) {
-        flat[key] = value;
-        flat[`${techId}.${key}`] = value;
+function buildCompositeIgnore(selectedTechIds, technologies, key) {
+  const entries = new Set();
+  const sections = [];
+  const sources = selectedTechIds
+    .map(id => technologies.find(t => t.id === id))
+    .concat(getActiveCombinations(selectedTechIds, technologies, store.get('combinations') || []));
+
+  for (const tech of sources) {
+    if (!tech || !tech[key] || tech[key].length === 0) {
+      continue;
+    }
+
+    sections.push(`# ${tech.name}`);
+    for (const entry of tech[key]) {
+      if (!entries.has(entry)) {
+        entries.add(entry);
+        sections.push(entry);
       }
     }
+    sections.push('');
   }
-  return flat;
-}
 
-/**
- * Simple template interpolation for zip file contents.
- * Replaces {{variableName}} with values from the flat options map.
- * @param {string} content - Template content.
- * @param {Object} flatOptions - Flat key-value map.
- * @returns {string} Interpolated content.
- */
-function interpolateTemplate(content, flatOptions) {
-  return content.replace(/\{\{([^}]+)\}\}/g, (match, varName) => {
-    const trimmed = varName.trim();
-    return flatOptions[trimmed] !== undefined ? String(flatOptions[trimmed]) : match;
-  });
+  return sections.join('\n').trim();
 }
 
 /**
- * Builds a composite .gitignore by merging entries from all selected technologies.
+ * Builds a composite .editorconfig from the `editorconfig` sections of all
+ * selected technologies (glob -> properties). Sections with the same glob
+ * are combined; when two technologies set the same property, the first
+ * selected wins. A `[*]` section with common defaults comes first.
  * @param {string[]} selectedTechIds - Selected technology IDs.
  * @param {Array} technologies - All technologies from the manifest.
- * @returns {string} The composite .gitignore content, or empty string if none.
+ * @returns {string} The composite .editorconfig content, or empty string if none.
  */
-function buildCompositeGitignore(selectedTechIds, technologies) {
-  const entries = new Set();
-  const sections = [];
+function buildCompositeEditorConfig(selectedTechIds, technologies) {
+  const sections = new Map();
 
   for (const techId of selectedTechIds) {
     const tech = technologies.find(t => t.id === techId);
-    if (!tech || !tech.gitignore || tech.gitignore.length === 0) {
-      continue;
+    for (const [glob, properties] of Object.entries((tech && tech.editorconfig) || {})) {
+      const merged = sections.get(glob) || {};
+      sections.set(glob, Object.assign({}, properties, merged));
     }
+  }
 
-    sections.push(`# ${tech.name}`);
-    for (const entry of tech.gitignore) {
-      if (!entries.has(entry)) {
-        entries.add(entry);
-        sections.push(entry);
-      }
+  if (sections.size === 0) {
+    return '';
+  }
+
+  const lines = ['root = true'];
+  const ordered = [['*', Object.assign({}, EDITORCONFIG_DEFAULTS, sections.get('*'))]];
+  for (const [glob, properties] of sections) {
+    if (glob !== '*') {
+      ordered.push([glob, properties]);
     }
-    sections.push('');
+  }
+  for (const [glob, properties] of ordered) {
+    lines.push('', `[${glob}]`);
+    for (const [property, value] of Object.entries(properties)) {
+      lines.push(`${property} = ${value}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds a composite .env.example listing the environment variables of all
+ * selected technologies, each with its description as a comment. Values
+ * are quoted for the shell when they contain spaces, `$` or the like.
+ * @param {{ selectedTechIds: string[], options: Object, projectVariables: Object }} project
+ * @param {Array} technologies - All technologies from the manifest.
+ * @returns {string} The composite .env.example content, or empty string if none.
+ */
+function buildCompositeEnvExample(project, technologies) {
+  const variables = collectEnvironmentVariables(project.selectedTechIds || [], project.options || {}, technologies, project.projectVariables);
+  const sections = [];
+  let currentTech = null;
+
+  for (const variable of variables) {
+    if (variable.technology !== currentTech) {
+      const tech = technologies.find(t => t.id === variable.technology);
+      sections.push('', `# ${tech.name}`);
+      currentTech = variable.technology;
+    }
+    if (variable.description) {
+      sections.push(`# ${variable.description}`);
+    }
+    sections.push(`${variable.name}=${escapeShell(variable.example)}`);
   }
 
   return sections.join('\n').trim();
@@ -8,19 +8,28 @@
  *   frontend/prompts/technologies/{id}/fragments/   — markdown fragments
  *   frontend/prompts/combinations/{id}/meta.json    — combination metadata
  *   frontend/prompts/combinations/{id}/fragments/   — combination fragments
- *   frontend/prompts/templates/{id}/                — template files (.tmpl)
+ *   frontend/prompts/presets/{id}.json              — curated stacks with preset option values
+ *   frontend/prompts/templates/{id}/                — template files (.tmpl) and starter trees of a technology or combination
  *
  * Run: node scripts/build-manifest.js
  */
 
 import { readdir, readFile, writeFile, stat } from 'node:fs/promises';
+import { execFileSync } from 'node:child_process';
 import { join, resolve } from 'node:path';
 
 const ROOT = resolve(import.meta.dirname, '..', 'frontend', 'prompts');
 const TECHNOLOGIES_DIR = join(ROOT, 'technologies');
 const COMBINATIONS_DIR = join(ROOT, 'combinations');
+const PRESETS_DIR = join(ROOT, 'presets');
 const OUTPUT = join(ROOT, 'manifest.json');
 
+// Mirrors the strategies in frontend/js/file-merge.js
+const MERGE_STRATEGIES = ['yaml', 'json', 'toml', 'append', 'section-append'];
+
+// Option the chosen technology version is stored under (see buildOptions)
+const VERSION_OPTION_ID = 'version';
+
 async function dirExists(path) {
   try {
     const s = await stat(path);
@@ -93,6 +102,9 @@ function parseFrontmatter(text) {
 }
 
 function parseScalar(raw) {
+  if (raw.startsWith('[') && raw.endsWith(']')) {
+    return raw.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean).map(parseScalar);
+  }
   if (raw === 'true') return true;
   if (raw === 'false') return false;
   if (/^\d+$/.test(raw)) return parseInt(raw, 10);
@@ -103,6 +115,445 @@ function parseScalar(raw) {
   return raw;
 }
 
+/**
+ * Returns the commit the prompt library is built from, so generated files
+ * can record which library revision produced them. Null outside a git checkout.
+ */
+function getLibraryCommit() {
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: ROOT, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Near-duplicate bullet detection. Mirrors frontend/js/dedup.js, which
+// collapses these at generation time; here they are reported so
+// contributors can remove the overlap at the source.
+const OVERLAP_THRESHOLD = 0.65;
+const OVERLAP_MIN_WORDS = 4;
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'at', 'by', 'with', 'as', 'from', 'into',
+  'is', 'are', 'be', 'it', 'its', 'this', 'that', 'these', 'those', 'use', 'using', 'your', 'all', 'each',
+]);
+const NEGATIONS = new Set(['not', 'never', 'avoid', "don't", 'no', 'without']);
+
+function toWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/[`*_~[\]()]/g, ' ')
+    .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^['-]+|['-]+$/g, '').replace(/'s$/, '').replace(/(?<=\w{3})s$/, ''))
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+function isDuplicate(a, b) {
+  if (a.length === 0 || b.length === 0) return false;
+  if (a.join(' ') === b.join(' ')) return true;
+  if (a.length < OVERLAP_MIN_WORDS || b.length < OVERLAP_MIN_WORDS) return false;
+  if (a.some(w => NEGATIONS.has(w)) !== b.some(w => NEGATIONS.has(w))) return false;
+
+  const setA = new Set(a);
+  const setB = new Set(b);
+  let shared = 0;
+  for (const word of setA) {
+    if (setB.has(word)) shared++;
+  }
+  return shared / (setA.size + setB.size - shared) >= OVERLAP_THRESHOLD;
+}
+
+/**
+ * Warns about bullets repeated across fragments of different technologies.
+ * Fragments within one technology are not compared: they are usually
+ * alternatives selected by an option.
+ */
+async function reportOverlaps(technologies) {
+  const bullets = [];
+  for (const tech of technologies) {
+    for (const file of tech.fragments) {
+      const text = await readFile(join(TECHNOLOGIES_DIR, tech.id, 'fragments', file), 'utf-8');
+      for (const line of parseFrontmatter(text).content.split('\n')) {
+        const match = line.match(/^[-*+]\s+(.+)$/);
+        if (match) {
+          bullets.push({ techId: tech.id, source: `${tech.id}/${file}`, line, words: toWords(match[1]) });
+        }
+      }
+    }
+  }
+
+  let count = 0;
+  for (let i = 0; i < bullets.length; i++) {
+    for (let j = i + 1; j < bullets.length; j++) {
+      if (bullets[i].techId !== bullets[j].techId && isDuplicate(bullets[i].words, bullets[j].words)) {
+        console.warn(`  ⚠ Overlap between ${bullets[i].source} and ${bullets[j].source}:`);
+        console.warn(`      ${bullets[i].line}`);
+        console.warn(`      ${bullets[j].line}`);
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Warns about dependency keys that can never be met: options a technology
+ * does not define, `techId.optionId` keys naming an unknown technology or
+ * option, and `selected` entries naming an unknown technology. Checks
+ * option `dependsOn`, `constraints`, `env` and template
+ * `optionDependencies`, and the frontmatter of every fragment, for
+ * technologies and combinations alike.
+ */
+async function reportUnknownReferences(technologies, combinations) {
+  let count = 0;
+  const check = (ownerId, deps, source) => {
+    for (const [key, value] of Object.entries(deps || {})) {
+      if (key === 'selected') {
+        for (const id of [].concat(value).filter(id => !technologies.some(t => t.id === id))) {
+          console.warn(`  ⚠ ${source}: selected references unknown technology ${id}`);
+          count++;
+        }
+        continue;
+      }
+      const dot = key.indexOf('.');
+      const tech = [...technologies, ...combinations].find(t => t.id === (dot === -1 ? ownerId : key.slice(0, dot)));
+      const optionId = dot === -1 ? key : key.slice(dot + 1);
+      if (!tech || !tech.options.some(o => o.id === optionId)) {
+        console.warn(`  ⚠ ${source}: ${key} references an unknown option`);
+        count++;
+      }
+    }
+  };
+
+  for (const tech of technologies) {
+    for (const option of tech.options) {
+      check(tech.id, option.dependsOn, `${tech.id} option ${option.id}`);
+    }
+    for (const constraint of tech.constraints) {
+      check(tech.id, constraint.exclusive, `${tech.id} constraint`);
+    }
+    for (const entry of tech.env) {
+      check(tech.id, entry.optionDependencies, `${tech.id} env ${entry.name}`);
+    }
+    for (const template of tech.templates) {
+      check(tech.id, template.optionDependencies, template.sourcePath);
+    }
+    for (const file of tech.fragments) {
+      const text = await readFile(join(TECHNOLOGIES_DIR, tech.id, 'fragments', file), 'utf-8');
+      check(tech.id, parseFrontmatter(text).metadata.optionDependencies, `${tech.id}/fragments/${file}`);
+    }
+  }
+  for (const combo of combinations) {
+    for (const option of combo.options) {
+      check(combo.id, option.dependsOn, `${combo.id} option ${option.id}`);
+    }
+    for (const template of combo.templates) {
+      check(combo.id, template.optionDependencies, template.sourcePath);
+    }
+    for (const file of combo.fragments) {
+      const text = await readFile(join(COMBINATIONS_DIR, combo.id, 'fragments', file), 'utf-8');
+      check(combo.id, parseFrontmatter(text).metadata.optionDependencies, `${combo.id}/fragments/${file}`);
+    }
+  }
+  return count;
+}
+
+/**
+ * Warns about `requires` entries the catalog cannot honour: unknown
+ * technology IDs, and prerequisites the technology is incompatible with.
+ */
+function reportInvalidRequirements(technologies) {
+  let count = 0;
+  for (const tech of technologies) {
+    for (const requiredId of tech.requires) {
+      const required = technologies.find(t => t.id === requiredId);
+      if (!required) {
+        console.warn(`  ⚠ ${tech.id}: requires unknown technology ${requiredId}`);
+        count++;
+      } else if (tech.incompatibleWith.includes(requiredId) || required.incompatibleWith.includes(tech.id)) {
+        console.warn(`  ⚠ ${tech.id}: requires ${requiredId} but is incompatible with it`);
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Lists every file below a directory, as paths relative to it.
+ */
+async function listFilesRecursive(dir, prefix = '') {
+  if (!(await dirExists(dir))) return [];
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      files.push(...(await listFilesRecursive(join(dir, entry.name), `${prefix}${entry.name}/`)));
+    } else if (entry.isFile()) {
+      files.push(prefix + entry.name);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Collects the variable names a template or output path uses, skipping
+ * block tags ({{#if}}, {{else}}, {{/each}}), loop locals and filters.
+ */
+function extractTemplateVariables(text, variables = []) {
+  const varRegex = /\{\{([^}]+)\}\}/g;
+  let match;
+  while ((match = varRegex.exec(text)) !== null) {
+    const varName = match[1].split('|')[0].trim();
+    if (/^[#/]|^else$|^this\b|^@/.test(varName)) {
+      continue;
+    }
+    if (!variables.includes(varName)) {
+      variables.push(varName);
+    }
+  }
+  return variables;
+}
+
+/**
+ * Discovers a technology's template files from templates/{id}/, including
+ * subdirectories. `.tmpl` files are rendered with the `.tmpl` suffix
+ * dropped; any other file is copied as-is (`raw`). Object entries in
+ * meta.json `templates` configure a single file or a whole directory by
+ * `sourcePath`:
+ *   - `outputPath` — where the file goes, or the directory its contents go
+ *     to (the project root by default); may contain variables.
+ *   - `optionDependencies` — the file is only included when the options
+ *     match, as for fragments. A file inherits its directories' dependencies.
+ *   - `merge` — how to combine the file with other technologies' templates
+ *     for the same output path (see MERGE_STRATEGIES).
+ * Falls back to the meta.json entries when the directory doesn't exist.
+ */
+async function buildTemplates(techId, meta) {
+  const templatesDir = join(ROOT, 'templates', techId);
+  const files = await listFilesRecursive(templatesDir);
+  const configured = (meta.templates || []).filter(t => typeof t === 'object' && t.sourcePath);
+
+  if (files.length === 0) {
+    // Fallback: expand string entries from meta.json into objects
+    return (meta.templates || []).map(t => {
+      if (typeof t === 'string') {
+        return {
+          sourcePath: `templates/${techId}/${t}.tmpl`,
+          outputPath: t,
+          variables: [],
+        };
+      }
+      return t;
+    });
+  }
+
+  const templates = [];
+  for (const file of files) {
+    const sourcePath = `templates/${techId}/${file}`;
+    const raw = !file.endsWith('.tmpl');
+    let outputPath = file.replace(/\.tmpl$/, '');
+    const optionDependencies = {};
+    let merge = null;
+
+    // Apply directory entries before file entries, outermost first
+    const entries = configured
+      .filter(e => e.sourcePath === sourcePath || sourcePath.startsWith(e.sourcePath.replace(/\/?$/, '/')))
+      .sort((a, b) => a.sourcePath.length - b.sourcePath.length);
+    for (const entry of entries) {
+      if (entry.sourcePath === sourcePath) {
+        outputPath = entry.outputPath ?? outputPath;
+      } else {
+        const below = sourcePath.slice(entry.sourcePath.replace(/\/?$/, '/').length).replace(/\.tmpl$/, '');
+        outputPath = entry.outputPath ? `${entry.outputPath.replace(/\/$/, '')}/${below}` : below;
+      }
+      Object.assign(optionDependencies, entry.optionDependencies);
+      merge = entry.merge || merge;
+    }
+
+    const variables = extractTemplateVariables(outputPath);
+    if (!raw) {
+      const content = await readFile(join(templatesDir, file), 'utf-8');
+      warnUnbalancedBlocks(content, sourcePath);
+      extractTemplateVariables(content, variables);
+    }
+
+    const template = { sourcePath, outputPath, variables };
+    if (Object.keys(optionDependencies).length > 0) {
+      template.optionDependencies = optionDependencies;
+    }
+    if (raw) {
+      template.raw = true;
+    }
+    if (merge) {
+      if (!MERGE_STRATEGIES.includes(merge)) {
+        console.warn(`  ⚠ ${sourcePath}: unknown merge strategy "${merge}"`);
+      }
+      template.merge = merge;
+    }
+    templates.push(template);
+  }
+
+  for (const entry of configured) {
+    const prefix = entry.sourcePath.replace(/\/?$/, '/');
+    if (!templates.some(t => t.sourcePath === entry.sourcePath || t.sourcePath.startsWith(prefix))) {
+      console.warn(`  ⚠ ${techId}: template entry ${entry.sourcePath} matches no files`);
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Warns about {{#if}} / {{#each}} blocks that are never closed or closed by
+ * the wrong tag. The template engine renders those as literal text, which is
+ * almost never what the author meant.
+ */
+function warnUnbalancedBlocks(text, source) {
+  const open = [];
+  const tagRegex = /\{\{\s*([#/])(if|each)\b[^}]*\}\}/g;
+  let match;
+  while ((match = tagRegex.exec(text)) !== null) {
+    if (match[1] === '#') {
+      open.push(match[2]);
+    } else if (open[open.length - 1] === match[2]) {
+      open.pop();
+    } else {
+      console.warn(`  ⚠ ${source}: unexpected {{/${match[2]}}}`);
+      return;
+    }
+  }
+  if (open.length > 0) {
+    console.warn(`  ⚠ ${source}: unclosed {{#${open[open.length - 1]}}} block`);
+  }
+}
+
+/**
+ * Warns about `env` entries the generator cannot write to `.env.example`:
+ * entries without a valid variable name or without a description.
+ */
+function warnInvalidEnv(techId, env) {
+  for (const entry of env) {
+    if (!entry || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(entry.name || '')) {
+      console.warn(`  ⚠ ${techId}: env entry ${JSON.stringify(entry)} has no valid name`);
+    } else if (!entry.description) {
+      console.warn(`  ⚠ ${techId}: env variable ${entry.name} has no description`);
+    }
+  }
+}
+
+/**
+ * Warns about multi-select options whose limits cannot be met: `min` above
+ * `max` or the number of choices, or default selections outside the limits.
+ */
+function warnInvalidMultiSelects(techId, options) {
+  for (const option of options) {
+    if (option.type !== 'multi-select') {
+      continue;
+    }
+    const choices = option.choices || [];
+    const defaults = choices.filter(c => c.default).length;
+    const min = option.min ?? 0;
+    const max = option.max ?? choices.length;
+    if (min > max || min > choices.length) {
+      console.warn(`  ⚠ ${techId}: option ${option.id} requires ${min} choices but allows ${Math.min(max, choices.length)}`);
+    } else if (defaults < min || defaults > max) {
+      console.warn(`  ⚠ ${techId}: option ${option.id} selects ${defaults} choices by default, outside ${min}–${max}`);
+    }
+  }
+}
+
+/**
+ * Warns about freeform `pattern` rules that are not valid regular
+ * expressions (the option panel ignores them) or that reject the option's
+ * own default value.
+ */
+function warnInvalidPatterns(techId, options) {
+  for (const option of options) {
+    if (option.type !== 'freeform' || !option.pattern) {
+      continue;
+    }
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${option.pattern})$`, 'u');
+    } catch (err) {
+      console.warn(`  ⚠ ${techId}: option ${option.id} has an invalid pattern (${err.message})`);
+      continue;
+    }
+    if (option.default && !regex.test(option.default)) {
+      console.warn(`  ⚠ ${techId}: option ${option.id} default "${option.default}" does not match its pattern`);
+    }
+  }
+}
+
+/**
+ * Returns a technology's options. When meta.json declares `versions`, a
+ * `version` single-select built from them comes first, so the chosen
+ * version is stored, shown and restored like any other option.
+ */
+function buildOptions(techId, meta) {
+  const options = meta.options || [];
+  const versions = meta.versions || [];
+  if (versions.length === 0) {
+    return options;
+  }
+  if (options.some(o => o.id === VERSION_OPTION_ID)) {
+    console.warn(`  ⚠ ${techId}: declares versions and an option named ${VERSION_OPTION_ID}; ignoring versions`);
+    return options;
+  }
+  if (versions.filter(v => v.default).length !== 1) {
+    console.warn(`  ⚠ ${techId}: exactly one version should be marked default`);
+  }
+  return [{ id: VERSION_OPTION_ID, label: 'Version', type: 'single-select', choices: versions }, ...options];
+}
+
+/**
+ * Compares dotted version numbers segment by segment, e.g. 3.9 < 3.10.
+ * Mirrors compareVersions() in frontend/js/generator.js.
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Whether a version satisfies a fragment's `versionRange`.
+ * Mirrors versionInRange() in frontend/js/generator.js.
+ */
+function versionInRange(version, range) {
+  if (Array.isArray(range)) {
+    return range.some(entry => versionInRange(version, entry));
+  }
+  return String(range).trim().split(/\s+/).every(comparator => {
+    const [, operator, bound] = comparator.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const diff = compareVersions(version, bound);
+    return { '>=': diff >= 0, '<=': diff <= 0, '>': diff > 0, '<': diff < 0 }[operator] ?? diff === 0;
+  });
+}
+
+/**
+ * Warns about a fragment `versionRange` that can never apply: on a
+ * technology without versions, or matching none of its versions.
+ */
+function warnInvalidVersionRange(techId, meta, range, source) {
+  if (range === undefined) {
+    return;
+  }
+  const versions = meta.versions || [];
+  if (versions.length === 0) {
+    console.warn(`  ⚠ ${source}: versionRange set but ${techId} declares no versions`);
+  } else if (!versions.some(v => versionInRange(v.id, range))) {
+    console.warn(`  ⚠ ${source}: versionRange ${JSON.stringify(range)} matches none of ${techId}'s versions`);
+  }
+}
+
 async function buildTechnology(techId) {
   const techDir = join(TECHNOLOGIES_DIR, techId);
   const metaPath = join(techDir, 'meta.json');
@@ -123,6 +574,8 @@ async function buildTechnology(techId) {
   for (const file of fragmentFiles) {
     const text = await readFile(join(techDir, 'fragments', file), 'utf-8');
     const { metadata } = parseFrontmatter(text);
+    warnUnbalancedBlocks(text, `${techId}/fragments/${file}`);
+    warnInvalidVersionRange(techId, meta, metadata.versionRange, `${techId}/fragments/${file}`);
     fragmentsMeta.push({
       file,
       id: metadata.id || file.replace(/\.md$/, ''),
@@ -131,45 +584,10 @@ async function buildTechnology(techId) {
     });
   }
 
-  // Discover template files from the templates directory on disk,
-  // falling back to meta.json entries if the directory doesn't exist.
-  const TEMPLATES_DIR = join(ROOT, 'templates', techId);
-  let templates = [];
-
-  const tmplFiles = await listFiles(TEMPLATES_DIR, '.tmpl');
-  if (tmplFiles.length > 0) {
-    // Auto-discover templates from the file system
-    for (const tmplFile of tmplFiles) {
-      const outputName = tmplFile.replace(/\.tmpl$/, '');
-      const content = await readFile(join(TEMPLATES_DIR, tmplFile), 'utf-8');
-      const variables = [];
-      const varRegex = /\{\{([^}]+)\}\}/g;
-      let match;
-      while ((match = varRegex.exec(content)) !== null) {
-        const varName = match[1].trim();
-        if (!variables.includes(varName)) {
-          variables.push(varName);
-        }
-      }
-      templates.push({
-        sourcePath: `templates/${techId}/${tmplFile}`,
-        outputPath: outputName,
-        variables,
-      });
-    }
-  } else if (meta.templates && meta.templates.length > 0) {
-    // Fallback: expand string entries from meta.json into objects
-    templates = meta.templates.map(t => {
-      if (typeof t === 'string') {
-        return {
-          sourcePath: `templates/${techId}/${t}.tmpl`,
-          outputPath: t,
-          variables: [],
-        };
-      }
-      return t;
-    });
-  }
+  const templates = await buildTemplates(techId, meta);
+  warnInvalidEnv(techId, meta.env || []);
+  warnInvalidMultiSelects(techId, meta.options || []);
+  warnInvalidPatterns(techId, meta.options || []);
 
   // Build the technology entry — meta.json is the source of truth for everything
   // except the fragments list and templates, which come from the file tree.
@@ -179,16 +597,40 @@ async function buildTechnology(techId) {
     description: meta.description,
     icon: meta.icon || `${techId}.svg`,
     categories: meta.categories || [],
-    options: meta.options || [],
+    globs: meta.globs || [],
+    options: buildOptions(techId, meta),
+    versions: meta.versions || [],
     fragments: fragmentFiles,
     templates,
     gitignore: meta.gitignore || [],
+    dockerignore: meta.dockerignore || [],
+    editorconfig: meta.editorconfig || {},
+    env: meta.env || [],
+    constraints: meta.constraints || [],
+    requires: meta.requires || [],
     incompatibleWith: meta.incompatibleWith || [],
     combinationsWith: meta.combinationsWith || [],
   };
 }
 
-async function buildCombination(comboId) {
+/**
+ * Names a combination after its patterns when meta.json has no `name`,
+ * e.g. "React + Cloudflare Workers" or "Any frontend + Docker".
+ */
+function getDefaultCombinationName(patterns, technologies) {
+  return patterns.map(pattern => {
+    if (pattern === '*') {
+      return 'Any technology';
+    }
+    if (pattern.startsWith('category:')) {
+      return `Any ${pattern.slice('category:'.length)}`;
+    }
+    const tech = technologies.find(t => t.id === pattern);
+    return tech ? tech.name : pattern;
+  }).join(' + ');
+}
+
+async function buildCombination(comboId, technologies) {
   const comboDir = join(COMBINATIONS_DIR, comboId);
   const metaPath = join(comboDir, 'meta.json');
 
@@ -201,12 +643,98 @@ async function buildCombination(comboId) {
   }
 
   const fragmentFiles = await listFiles(join(comboDir, 'fragments'), '.md');
+  for (const file of fragmentFiles) {
+    warnUnbalancedBlocks(await readFile(join(comboDir, 'fragments', file), 'utf-8'), `${comboId}/fragments/${file}`);
+  }
+
+  const templates = await buildTemplates(comboId, meta);
+  warnInvalidMultiSelects(comboId, meta.options || []);
+  warnInvalidPatterns(comboId, meta.options || []);
 
+  // Combinations carry options, templates and gitignore entries like a
+  // technology; they apply while the selection matches `technologies`.
   return {
     id: comboId,
+    name: meta.name || getDefaultCombinationName(meta.technologies || [], technologies),
     technologies: meta.technologies || [],
     description: meta.description || '',
+    priority: meta.priority ?? null,
+    options: meta.options || [],
     fragments: fragmentFiles,
+    templates,
+    gitignore: meta.gitignore || [],
+  };
+}
+
+/**
+ * Warns about combination patterns no technology can meet: unknown
+ * technology IDs and `category:<name>` for a category no technology has.
+ */
+function reportInvalidCombinationPatterns(technologies, combinations) {
+  const categories = new Set(technologies.flatMap(t => t.categories));
+  let count = 0;
+  for (const combo of combinations) {
+    for (const pattern of combo.technologies) {
+      const known = pattern === '*'
+        || (pattern.startsWith('category:') ? categories.has(pattern.slice('category:'.length)) : technologies.some(t => t.id === pattern));
+      if (!known) {
+        console.warn(`  ⚠ ${combo.id}: no technology matches ${pattern}`);
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Reads a preset: a named stack of technologies with option values to
+ * apply on top of the defaults. Warns about technologies, options and
+ * values the catalog cannot apply; options may belong to a technology or
+ * to a combination.
+ */
+async function buildPreset(file, technologies, combinations) {
+  const presetId = file.replace(/\.json$/, '');
+
+  let meta;
+  try {
+    meta = JSON.parse(await readFile(join(PRESETS_DIR, file), 'utf-8'));
+  } catch (err) {
+    console.warn(`  ⚠ Skipping preset ${presetId}: cannot read ${file} (${err.message})`);
+    return null;
+  }
+
+  const techIds = meta.technologies || [];
+  for (const techId of techIds.filter(id => !technologies.some(t => t.id === id))) {
+    console.warn(`  ⚠ preset ${presetId}: unknown technology ${techId}`);
+  }
+
+  for (const [ownerId, values] of Object.entries(meta.options || {})) {
+    const owner = [...technologies, ...combinations].find(t => t.id === ownerId);
+    if (!owner) {
+      console.warn(`  ⚠ preset ${presetId}: options for unknown technology ${ownerId}`);
+      continue;
+    }
+    if (technologies.includes(owner) && !techIds.includes(ownerId)) {
+      console.warn(`  ⚠ preset ${presetId}: options for ${ownerId}, which it does not select`);
+    }
+    for (const [optionId, value] of Object.entries(values)) {
+      const option = owner.options.find(o => o.id === optionId);
+      const choiceIds = ((option && option.choices) || []).map(c => c.id);
+      const invalid = [].concat(value).some(v => !choiceIds.includes(v));
+      if (!option) {
+        console.warn(`  ⚠ preset ${presetId}: ${ownerId} has no option ${optionId}`);
+      } else if (choiceIds.length > 0 && invalid) {
+        console.warn(`  ⚠ preset ${presetId}: ${JSON.stringify(value)} is not a choice of ${ownerId} option ${optionId}`);
+      }
+    }
+  }
+
+  return {
+    id: presetId,
+    name: meta.name || presetId,
+    description: meta.description || '',
+    technologies: techIds,
+    options: meta.options || {},
   };
 }
 
@@ -227,29 +755,64 @@ async function main() {
     }
   }
 
+  const overlaps = await reportOverlaps(technologies);
+  if (overlaps > 0) {
+    console.warn(`  Found ${overlaps} overlapping bullets; the generator keeps only one copy of each.`);
+  }
+
   // Build combinations
   const comboIds = await listDirs(COMBINATIONS_DIR);
   console.log(`  Found ${comboIds.length} combination directories`);
 
   const combinations = [];
   for (const id of comboIds.sort()) {
-    const combo = await buildCombination(id);
+    const combo = await buildCombination(id, technologies);
     if (combo) {
       combinations.push(combo);
       console.log(`  ✓ ${combo.id} (${combo.fragments.length} fragments)`);
     }
   }
 
+  const invalidPatterns = reportInvalidCombinationPatterns(technologies, combinations);
+  if (invalidPatterns > 0) {
+    console.warn(`  Found ${invalidPatterns} combination patterns that can never match.`);
+  }
+
+  const invalidRequirements = reportInvalidRequirements(technologies);
+  if (invalidRequirements > 0) {
+    console.warn(`  Found ${invalidRequirements} prerequisites that cannot be selected.`);
+  }
+
+  const unknownReferences = await reportUnknownReferences(technologies, combinations);
+  if (unknownReferences > 0) {
+    console.warn(`  Found ${unknownReferences} dependency keys that can never be met.`);
+  }
+
+  // Build presets
+  const presetFiles = await listFiles(PRESETS_DIR, '.json');
+  console.log(`  Found ${presetFiles.length} presets`);
+
+  const presets = [];
+  for (const file of presetFiles) {
+    const preset = await buildPreset(file, technologies, combinations);
+    if (preset) {
+      presets.push(preset);
+      console.log(`  ✓ ${preset.name} (${preset.technologies.length} technologies)`);
+    }
+  }
+
   const manifest = {
     version: '1.0.0',
+    commit: getLibraryCommit(),
     generatedAt: new Date().toISOString(),
     technologies,
     combinations,
+    presets,
   };
 
   await writeFile(OUTPUT, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
   console.log(`\n  ✅ Wrote ${OUTPUT}`);
-  console.log(`     ${technologies.length} technologies, ${combinations.length} combinations`);
+  console.log(`     ${technologies.length} technologies, ${combinations.length} combinations, ${presets.length} presets`);
 }
 
 main().catch(err => {
@@ -3,7 +3,8 @@
  * Provides repository listing, PR creation, repo creation, and GitHub App endpoints.
  */
 
-import GitHubClient from '../utils/github-client.js';
+import GitHubClient, { decodeFileContent } from '../utils/github-client.js';
+import { mergeManagedRegion } from '../../frontend/js/managed-region.js';
 import { jsonResponse, errorResponse } from '../utils/response.js';
 
 /**
@@ -42,6 +43,7 @@ export async function handleListRepos(request, env) {
 
 /**
  * Creates a pull request on the user's repository with the generated files.
+ * Files that already exist are merged: only their managed region is replaced.
  * Expects JSON body: { repo, files: [{path, content}], branchName, commitMessage, prTitle, prBody }
  * @param {Request} request
  * @param {object} env
@@ -84,11 +86,14 @@ export async function handleCreatePR(request, env) {
       const existing = await client.getFileContent(owner, repoName, file.path, branchName);
       const existingSha = existing ? existing.sha : null;
 
+      // Replace only the managed region, keeping hand-written content around it
+      const content = existing ? mergeManagedRegion(decodeFileContent(existing), file.content) : file.content;
+
       await client.createOrUpdateFile(
         owner,
         repoName,
         file.path,
-        file.content,
+        content,
         commitMessage,
         branchName,
         existingSha,
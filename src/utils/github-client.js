@@ -5,6 +5,35 @@
 
 const GITHUB_API_BASE = 'https://api.github.com';
 
+/**
+ * Base64-encodes a string as UTF-8. btoa() alone only accepts Latin-1 and
+ * throws on characters such as an em dash.
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes the base64 content of a file returned by getFileContent() as UTF-8.
+ * @param {object} file - Contents API response with `content` and `encoding`.
+ * @returns {string}
+ */
+export function decodeFileContent(file) {
+  if (file.encoding !== 'base64') {
+    return file.content || '';
+  }
+  const binary = atob((file.content || '').replace(/\s/g, ''));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
 export default class GitHubClient {
   /**
    * @param {string} token - GitHub personal access token or OAuth token.
@@ -119,7 +148,7 @@ export default class GitHubClient {
    * @param {string} owner - Repository owner.
    * @param {string} repo - Repository name.
    * @param {string} path - File path within the repository.
-   * @param {string} content - File content (will be base64-encoded).
+   * @param {string} content - File content (will be UTF-8 base64-encoded).
    * @param {string} message - Commit message.
    * @param {string} branch - Target branch name.
    * @param {string|null} existingSha - SHA of the existing file (for updates), or null for creation.
@@ -128,7 +157,7 @@ export default class GitHubClient {
   async createOrUpdateFile(owner, repo, path, content, message, branch, existingSha = null) {
     const body = {
       message,
-      content: btoa(content),
+      content: encodeBase64(content),
       branch,
     };
 
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getActiveCombinations, selectCombinationFragments } from '../frontend/js/prompt-loader.js';
+
+const TECHNOLOGIES = [
+  { id: 'react', categories: ['frontend'] },
+  { id: 'vue', categories: ['frontend'] },
+  { id: 'cloudflare-workers', categories: ['backend'] },
+  { id: 'go', categories: ['language', 'backend'] },
+  { id: 'python', categories: ['language'] },
+  { id: 'docker', categories: ['devops'] },
+];
+
+const REACT_WORKERS = { id: 'react+cloudflare-workers', technologies: ['react', 'cloudflare-workers'] };
+const FRONTEND_BACKEND = { id: 'any-frontend+any-backend', technologies: ['category:frontend', 'category:backend'] };
+const LANGUAGE_DOCKER = { id: 'any-language+docker', technologies: ['category:language', 'docker'] };
+const ANY_PAIR = { id: 'any+any', technologies: ['*', '*'] };
+
+/**
+ * Returns the technologies with the given IDs.
+ * @param {string[]} ids
+ * @returns {Array}
+ */
+function select(ids) {
+  return TECHNOLOGIES.filter(tech => ids.includes(tech.id));
+}
+
+/**
+ * Builds a combination fragment entry as loadCombinationFragments() does.
+ * @param {Object} combo
+ * @param {string} category
+ * @returns {{ fragment: Object, combo: Object }}
+ */
+function entry(combo, category) {
+  return { fragment: { id: `${combo.id}-${category}`, metadata: { category } }, combo };
+}
+
+test('getActiveCombinations matches technology IDs, categories and wildcards', () => {
+  const combinations = [REACT_WORKERS, FRONTEND_BACKEND, LANGUAGE_DOCKER, ANY_PAIR];
+  const active = (ids) => getActiveCombinations(ids, TECHNOLOGIES, combinations).map(combo => combo.id);
+
+  assert.deepEqual(active(['react', 'cloudflare-workers']), ['react+cloudflare-workers', 'any-frontend+any-backend', 'any+any']);
+  assert.deepEqual(active(['vue', 'go']), ['any-frontend+any-backend', 'any+any']);
+  assert.deepEqual(active(['python', 'docker']), ['any-language+docker', 'any+any']);
+  assert.deepEqual(active(['react']), []);
+});
+
+test('getActiveCombinations needs a different technology for each pattern', () => {
+  // Go is both a language and a backend, but cannot fill two patterns
+  const both = { id: 'language+backend', technologies: ['category:language', 'category:backend'] };
+  assert.deepEqual(getActiveCombinations(['go'], TECHNOLOGIES, [both]), []);
+  assert.deepEqual(getActiveCombinations(['go', 'python'], TECHNOLOGIES, [both]).map(combo => combo.id), ['language+backend']);
+});
+
+test('a more specific combination replaces overlapping generic guidance of the same category', () => {
+  const entries = [entry(REACT_WORKERS, 'integration'), entry(FRONTEND_BACKEND, 'integration')];
+  const kept = selectCombinationFragments(entries, select(['react', 'cloudflare-workers']));
+
+  assert.deepEqual(kept.map(fragment => fragment.id), ['react+cloudflare-workers-integration']);
+});
+
+test('generic guidance is kept for technologies the specific combination does not cover', () => {
+  const entries = [entry(REACT_WORKERS, 'integration'), entry(FRONTEND_BACKEND, 'integration')];
+  const kept = selectCombinationFragments(entries, select(['react', 'cloudflare-workers', 'vue', 'go']));
+
+  assert.deepEqual(kept.map(fragment => fragment.id), [
+    'react+cloudflare-workers-integration',
+    'any-frontend+any-backend-integration',
+  ]);
+});
+
+test('generic guidance is dropped when it can only be met with covered technologies', () => {
+  // Vue has no uncovered backend to pair with
+  const entries = [entry(REACT_WORKERS, 'integration'), entry(FRONTEND_BACKEND, 'integration')];
+  const kept = selectCombinationFragments(entries, select(['react', 'cloudflare-workers', 'vue']));
+
+  assert.deepEqual(kept.map(fragment => fragment.id), ['react+cloudflare-workers-integration']);
+});
+
+test('fragments of other categories are never replaced', () => {
+  const entries = [entry(REACT_WORKERS, 'integration'), entry(FRONTEND_BACKEND, 'deployment')];
+  const kept = selectCombinationFragments(entries, select(['react', 'cloudflare-workers']));
+
+  assert.equal(kept.length, 2);
+});
+
+test('an explicit priority overrides specificity', () => {
+  const preferred = { ...FRONTEND_BACKEND, priority: 10 };
+  const entries = [entry(REACT_WORKERS, 'integration'), entry(preferred, 'integration')];
+  const kept = selectCombinationFragments(entries, select(['react', 'cloudflare-workers']));
+
+  assert.deepEqual(kept.map(fragment => fragment.id), ['any-frontend+any-backend-integration']);
+});
+
+test('combinations of equal priority are both kept', () => {
+  const entries = [entry(FRONTEND_BACKEND, 'integration'), entry({ ...LANGUAGE_DOCKER, priority: 2 }, 'integration')];
+  const kept = selectCombinationFragments(entries, select(['react', 'go', 'docker']));
+
+  assert.equal(kept.length, 2);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeDuplicateBullets } from '../frontend/js/dedup.js';
+
+/**
+ * Builds a fragment with the given content and priority.
+ * @param {string} id
+ * @param {string} content
+ * @param {number} [priority]
+ * @returns {Object}
+ */
+function fragment(id, content, priority = 50) {
+  return { id, content, metadata: { priority } };
+}
+
+/**
+ * Runs removeDuplicateBullets() on fragments rendered as authored.
+ * @param {Array} fragments
+ * @param {string[]} [editedIds]
+ * @returns {{ contents: Object, duplicates: Array }}
+ */
+function dedup(fragments, editedIds) {
+  const contents = Object.fromEntries(fragments.map(f => [f.id, f.content]));
+  return removeDuplicateBullets(fragments, contents, editedIds);
+}
+
+test('keeps a duplicate bullet once, in the fragment with the higher priority', () => {
+  const python = fragment('python', '- Use type hints for all function signatures.', 50);
+  const django = fragment('django', '- Use type hints for all function signatures.', 100);
+  const { contents, duplicates } = dedup([python, django]);
+
+  assert.equal(contents.python, '');
+  assert.equal(contents.django, django.content);
+  assert.deepEqual(duplicates, [{ id: 'python', keptIn: 'django', line: '- Use type hints for all function signatures.' }]);
+});
+
+test('keeps the earlier bullet on a priority tie', () => {
+  const first = fragment('first', '- Keep components small and focused.');
+  const second = fragment('second', '- Keep components small and focused.');
+  const { contents } = dedup([first, second]);
+
+  assert.equal(contents.first, first.content);
+  assert.equal(contents.second, '');
+});
+
+test('matches bullets that differ in case, punctuation, filler words and plurals', () => {
+  const a = fragment('a', '- Write **tests** for every public function in the module.');
+  const b = fragment('b', '- write a test for each public functions in module');
+  const { contents } = dedup([a, b]);
+
+  assert.equal(contents.b, '');
+});
+
+test('never matches a negated bullet with its positive near-duplicate', () => {
+  const a = fragment('a', '- Commit generated lock files to version control.');
+  const b = fragment('b', '- Never commit generated lock files to version control.');
+  const { contents, duplicates } = dedup([a, b]);
+
+  assert.equal(contents.b, b.content);
+  assert.deepEqual(duplicates, []);
+});
+
+test('only matches short bullets when identical', () => {
+  const a = fragment('a', '- Prefer async views.');
+  const b = fragment('b', '- Prefer sync views.');
+  const { duplicates } = dedup([a, b]);
+
+  assert.deepEqual(duplicates, []);
+});
+
+test('removes the continuation lines of a removed bullet', () => {
+  const a = fragment('a', '- Validate request bodies with schemas.', 100);
+  const b = fragment('b', '- Validate request bodies with schemas.\n  Reject unknown fields.\n- Log every request.');
+  const { contents } = dedup([a, b]);
+
+  assert.equal(contents.b, '- Log every request.');
+});
+
+test('never removes bullets from a fragment the user edited', () => {
+  const library = fragment('library', '- Use type hints for all function signatures.', 100);
+  const edited = fragment('edited', '- Use type hints for all function signatures.', 50);
+  const { contents, duplicates } = dedup([library, edited], ['edited']);
+
+  assert.equal(contents.edited, edited.content);
+  assert.equal(contents.library, '');
+  assert.deepEqual(duplicates.map(d => [d.id, d.keptIn]), [['library', 'edited']]);
+});
+
+test('keeps duplicates between two edited fragments', () => {
+  const a = fragment('a', '- Keep components small and focused.');
+  const b = fragment('b', '- Keep components small and focused.');
+  const { contents } = dedup([a, b], ['a', 'b']);
+
+  assert.equal(contents.a, a.content);
+  assert.equal(contents.b, b.content);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeFileContents } from '../frontend/js/file-merge.js';
+
+test('a single piece is returned as written', () => {
+  assert.deepEqual(mergeFileContents('a.json', ['{ "a": 1 }']), { content: '{ "a": 1 }', warning: null });
+});
+
+test('yaml merges mappings key by key and keeps the first piece\'s key order', () => {
+  const app = 'version: "3.9"\n\nservices:\n  app:\n    image: node\n';
+  const db = 'services:\n  db:\n    image: postgres\nvolumes:\n  data: {}\n';
+  const { content, warning } = mergeFileContents('docker-compose.yml', [app, db]);
+
+  assert.equal(warning, null);
+  assert.equal(content, 'version: "3.9"\n\nservices:\n  app:\n    image: node\n  db:\n    image: postgres\n\nvolumes:\n  data: {}\n');
+});
+
+test('yaml places a new key before the shared key it precedes in its own piece', () => {
+  const db = 'services:\n  db:\n    image: postgres\n\nvolumes:\n  data: {}\n\nnetworks:\n  app: {}\n';
+  const app = 'version: "3.9"\nservices:\n  app:\n    image: node\nnetworks:\n  app: {}\n';
+  const { content } = mergeFileContents('docker-compose.yml', [db, app], 'yaml');
+
+  assert.deepEqual(content.split('\n').filter(line => /^\S/.test(line)), ['version: "3.9"', 'services:', 'volumes:', 'networks:']);
+});
+
+test('yaml concatenates lists without repeating items', () => {
+  const { content } = mergeFileContents('ci.yml', ['steps:\n  - lint\n  - test\n', 'steps:\n  - test\n  - build\n']);
+
+  assert.equal(content, 'steps:\n  - lint\n  - test\n  - build\n');
+});
+
+test('json deep-merges objects, the later scalar winning', () => {
+  const { content } = mergeFileContents('tsconfig.json', [
+    '{ "compilerOptions": { "strict": true, "target": "es2020" }, "include": ["src"] }',
+    '{ "compilerOptions": { "target": "es2022" }, "include": ["src", "test"] }',
+  ]);
+
+  assert.deepEqual(JSON.parse(content), {
+    compilerOptions: { strict: true, target: 'es2022' },
+    include: ['src', 'test'],
+  });
+});
+
+test('toml merges keys of the same table and keeps every array table', () => {
+  const first = 'name = "app"\n\n[tool.ruff]\nline-length = 88\n\n[[tool.mypy.overrides]]\nmodule = "a"\n';
+  const second = '[tool.ruff]\nline-length = 100\ntarget-version = "py312"\n\n[[tool.mypy.overrides]]\nmodule = "b"\n';
+  const { content } = mergeFileContents('pyproject.toml', [first, second]);
+
+  assert.equal(content, [
+    'name = "app"',
+    '',
+    '[tool.ruff]',
+    'line-length = 100',
+    'target-version = "py312"',
+    '',
+    '[[tool.mypy.overrides]]',
+    'module = "a"',
+    '',
+    '[[tool.mypy.overrides]]',
+    'module = "b"',
+    '',
+  ].join('\n'));
+});
+
+test('toml keeps values that span several lines', () => {
+  const { content } = mergeFileContents('pyproject.toml', ['[project]\ndependencies = [\n  "fastapi",\n]\n', '[project]\nname = "app"\n']);
+
+  assert.equal(content, '[project]\ndependencies = [\n  "fastapi",\n]\nname = "app"\n');
+});
+
+test('section-append writes a shared section once with the lines of each piece', () => {
+  const { content } = mergeFileContents('CONTRIBUTING.md', ['## Setup\n\n- npm install\n', '## Setup\n\n- uv sync\n\n## Tests\n\n- npm test\n']);
+
+  assert.equal(content, '## Setup\n\n- npm install\n\n- uv sync\n\n## Tests\n\n- npm test\n');
+});
+
+test('an unparsable piece falls back to append and returns the reason', () => {
+  const { content, warning } = mergeFileContents('a.json', ['{ "a": 1 }', '{ oops']);
+
+  assert.equal(content, '{ "a": 1 }\n\n{ oops\n');
+  assert.match(warning, /^Could not json-merge a\.json, appended instead: /);
+});
+
+test('the strategy is inferred from the extension, falling back to append', () => {
+  const { content } = mergeFileContents('.env.example', ['A=1\n', 'B=2\n']);
+
+  assert.equal(content, 'A=1\n\nB=2\n');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wrapManagedRegion, extractManagedRegion, mergeManagedRegion } from '../frontend/js/managed-region.js';
+
+const BEGIN = wrapManagedRegion('').split('\n')[0];
+const END = '<!-- agentsdotmd:end -->';
+
+test('extractManagedRegion returns the content between the markers', () => {
+  assert.equal(extractManagedRegion(`# Team rules\n\n${wrapManagedRegion('# AGENTS\n\n- Generated.')}\n`), '# AGENTS\n\n- Generated.');
+  assert.equal(extractManagedRegion('# No markers'), '# No markers');
+});
+
+test('replaces only the managed region and keeps hand-written text around it', () => {
+  const existing = `# Team rules\n\n- Ours.\n\n${wrapManagedRegion('- Old.')}\n\n## Notes\n\n- Also ours.\n`;
+  const merged = mergeManagedRegion(existing, wrapManagedRegion('- New.'));
+
+  assert.equal(merged, `# Team rules\n\n- Ours.\n\n${wrapManagedRegion('- New.')}\n\n## Notes\n\n- Also ours.\n`);
+});
+
+test('returns the generated content when there is no existing file', () => {
+  const generated = wrapManagedRegion('- New.');
+
+  assert.equal(mergeManagedRegion(null, generated), generated);
+  assert.equal(mergeManagedRegion('  \n', generated), generated);
+});
+
+test('adds the region below a hand-written file without markers', () => {
+  const merged = mergeManagedRegion('# Team rules\n\n- Ours.\n', wrapManagedRegion('- New.'));
+
+  assert.equal(merged, `# Team rules\n\n- Ours.\n\n${wrapManagedRegion('- New.')}`);
+});
+
+test('replaces a file generated before markers existed', () => {
+  const existing = '# AGENTS\n\n> Generated by [AgentsDotMD](https://agentsdotmd.com) on 2024-01-01\n';
+  const generated = wrapManagedRegion('- New.');
+
+  assert.equal(mergeManagedRegion(existing, generated), generated);
+});
+
+test('keeps the text of a region that lost its end marker, dropping the stray begin marker', () => {
+  const existing = `# Team rules\n\n${BEGIN}\n> Generated by [AgentsDotMD](https://agentsdotmd.com) on 2024-01-01\n\n- Kept by hand.\n`;
+  const merged = mergeManagedRegion(existing, wrapManagedRegion('- New.'));
+
+  assert.equal(merged, `# Team rules\n\n> Generated by [AgentsDotMD](https://agentsdotmd.com) on 2024-01-01\n\n- Kept by hand.\n\n${wrapManagedRegion('- New.')}`);
+  assert.equal(merged.split(BEGIN).length, 2);
+});
+
+test('pairs the end marker with the closest begin marker before it', () => {
+  const existing = `${BEGIN}\n- Hand-written after a stray marker.\n\n${wrapManagedRegion('- Old.')}\n`;
+  const merged = mergeManagedRegion(existing, wrapManagedRegion('- New.'));
+
+  assert.ok(merged.includes('- Hand-written after a stray marker.'));
+  assert.ok(merged.endsWith(`${wrapManagedRegion('- New.')}\n`));
+  assert.equal(extractManagedRegion(merged), '- New.');
+});
+
+test('generated frontmatter replaces the existing frontmatter outside the region', () => {
+  const existing = `---\ndescription: old\n---\n\n${wrapManagedRegion('- Old.')}\n`;
+  const generated = `---\ndescription: new\n---\n\n${wrapManagedRegion('- New.')}\n`;
+
+  assert.equal(mergeManagedRegion(existing, generated), `---\ndescription: new\n---\n\n${wrapManagedRegion('- New.')}\n`);
+});
+
+test('normalizes CRLF line endings in the existing file', () => {
+  const existing = `# Team rules\r\n\r\n${wrapManagedRegion('- Old.').replace(/\n/g, '\r\n')}\r\n`;
+  const merged = mergeManagedRegion(existing, wrapManagedRegion('- New.'));
+
+  assert.equal(merged, `# Team rules\n\n${BEGIN}\n- New.\n${END}\n`);
+});
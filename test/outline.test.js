@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFirstHeadingLevel, normalizeHeadings, buildOutline, buildTableOfContents, findHeadingJumps } from '../frontend/js/outline.js';
+
+test('getFirstHeadingLevel returns the level of the first heading, or null', () => {
+  assert.equal(getFirstHeadingLevel('Intro\n\n### Testing\n\n## Later'), 3);
+  assert.equal(getFirstHeadingLevel('- No headings here.'), null);
+});
+
+test('normalizeHeadings shifts every heading by the same amount', () => {
+  const content = '## React\n\n- Use hooks.\n\n### State\n\n- Keep it local.';
+
+  assert.equal(normalizeHeadings(content, 3), '### React\n\n- Use hooks.\n\n#### State\n\n- Keep it local.');
+  assert.equal(normalizeHeadings(normalizeHeadings(content, 3), 2), content);
+});
+
+test('normalizeHeadings keeps levels between 1 and 6', () => {
+  assert.equal(normalizeHeadings('## A\n\n###### B', 3), '### A\n\n###### B');
+  assert.equal(normalizeHeadings('### A\n\n# B', 2), '## A\n\n# B');
+});
+
+test('normalizeHeadings leaves content without headings unchanged', () => {
+  assert.equal(normalizeHeadings('- Only bullets.', 3), '- Only bullets.');
+});
+
+test('headings inside fenced code blocks are ignored', () => {
+  const content = '## Setup\n\n```bash\n# install dependencies\nnpm install\n```\n\n~~~\n## not a heading\n~~~';
+
+  assert.equal(normalizeHeadings(content, 3), content.replace('## Setup', '### Setup'));
+  assert.deepEqual(buildOutline(content).map(h => h.text), ['Setup']);
+});
+
+test('buildOutline gives GitHub-style anchors with suffixes for duplicates', () => {
+  const outline = buildOutline('## Testing & CI\n\n### Testing & CI\n\n## Next.js 15 (App Router)\n\n## Testing & CI');
+
+  assert.deepEqual(outline.map(h => h.anchor), ['testing--ci', 'testing--ci-1', 'nextjs-15-app-router', 'testing--ci-2']);
+});
+
+test('buildTableOfContents links the ## and ### headings, indented by level', () => {
+  const toc = buildTableOfContents('## React\n\n### Hooks\n\n#### Rules\n\n## Go');
+
+  assert.equal(toc, '## Contents\n\n- [React](#react)\n  - [Hooks](#hooks)\n- [Go](#go)');
+  assert.equal(buildTableOfContents('- No headings.'), '');
+});
+
+test('findHeadingJumps reports headings that skip a level', () => {
+  const jumps = findHeadingJumps('# AGENTS\n\n## React\n\n#### Rules\n\n### Hooks\n\n# Appendix\n\n### Links');
+
+  assert.deepEqual(jumps, [
+    { text: 'Rules', level: 4, previousLevel: 2 },
+    { text: 'Links', level: 3, previousLevel: 1 },
+  ]);
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  render,
+  renderStrict,
+  escapeToml,
+  escapeYaml,
+  escapeJson,
+  escapeShell,
+  escapeMake,
+  escapeMarkdown,
+  unescapeMarkdown,
+  getEscaper,
+} from '../frontend/js/template-engine.js';
+
+test('replaces placeholders by dotted path and leaves unknown ones as written', () => {
+  const context = { name: 'app', react: { language: 'typescript' } };
+
+  assert.equal(render('{{name}} uses {{ react.language }} and {{missing}}.', context), 'app uses typescript and {{missing}}.');
+});
+
+test('{{#if}} takes the branch its expression selects', () => {
+  const template = '{{#if language == "typescript"}}TS{{else}}JS{{/if}}';
+
+  assert.equal(render(template, { language: 'typescript' }), 'TS');
+  assert.equal(render(template, { language: 'javascript' }), 'JS');
+  assert.equal(render('{{#if strict}}strict{{/if}}', { strict: false }), '');
+});
+
+test('expressions support !=, &&, ||, ! and parentheses', () => {
+  const context = { a: true, b: false, tool: 'vitest', port: 3000 };
+
+  assert.equal(render('{{#if a && !b}}yes{{/if}}', context), 'yes');
+  assert.equal(render('{{#if b || tool != "jest"}}yes{{/if}}', context), 'yes');
+  assert.equal(render('{{#if !(a && (b || port == 3000))}}yes{{else}}no{{/if}}', context), 'no');
+});
+
+test('== on a multi-select option checks whether the value is selected', () => {
+  const template = '{{#if tools == "jest"}}- Jest\n{{/if}}{{#if tools == "vitest"}}- Vitest\n{{/if}}';
+
+  assert.equal(render(template, { tools: ['vitest', 'jest'] }), '- Jest\n- Vitest\n');
+  assert.equal(render(template, { tools: ['playwright'] }), '');
+});
+
+test('a block tag alone on its line leaves no blank line behind', () => {
+  const template = '- One\n{{#if extra}}\n- Two\n{{/if}}\n- Three';
+
+  assert.equal(render(template, { extra: true }), '- One\n- Two\n- Three');
+  assert.equal(render(template, { extra: false }), '- One\n- Three');
+});
+
+test('{{#each}} repeats its body with this, @index and @key', () => {
+  assert.equal(render('{{#each tools}}{{@index}}:{{this}} {{/each}}', { tools: ['vitest', 'playwright'] }), '0:vitest 1:playwright ');
+  assert.equal(render('{{#each ports}}{{@key}}={{this}};{{/each}}', { ports: { web: 3000, api: 8080 } }), 'web=3000;api=8080;');
+  assert.equal(render('{{#each services}}{{name}} {{/each}}', { services: [{ name: 'db' }, { name: 'cache' }] }), 'db cache ');
+  assert.equal(render('{{#each missing}}x{{/each}}', {}), '');
+});
+
+test('blocks nest', () => {
+  const template = '{{#each tools}}{{#if this == "jest"}}[{{this}}]{{else}}{{this}}{{/if}}{{/each}}';
+
+  assert.equal(render(template, { tools: ['vitest', 'jest'] }), 'vitest[jest]');
+});
+
+test('unbalanced blocks are kept as literal text', () => {
+  assert.equal(render('{{#if a}}open', { a: true }), '{{#if a}}open');
+  assert.equal(render('{{#if a}}x{{else}}y', { a: true }), '{{#if a}}x{{else}}y');
+  assert.equal(render('stray {{/if}} close', {}), 'stray {{/if}} close');
+  assert.equal(render('{{#if a}}{{#each b}}x{{/if}}', { a: true }), '{{#if a}}{{#each b}}x{{/if}}');
+});
+
+test('a malformed expression renders the block as written', () => {
+  assert.equal(render('{{#if a ==}}x{{else}}y{{/if}}', { a: 1 }), '{{#if a ==}}x{{else}}y{{/if}}');
+});
+
+test('filters change the case of a value or take its last path segment', () => {
+  const context = { name: 'My Cool-App', dir: 'services/api/' };
+
+  assert.equal(render('{{name | snake_case}} {{name | kebab_case}} {{name | upper}}', context), 'my_cool_app my-cool-app MY COOL-APP');
+  assert.equal(render('{{camel | kebab_case}}', { camel: 'myCoolApp' }), 'my-cool-app');
+  assert.equal(render('{{dir | basename}}', context), 'api');
+});
+
+test('filters apply in order', () => {
+  assert.equal(render('{{name | snake_case | upper}}', { name: 'my app' }), 'MY_APP');
+});
+
+test('default replaces a missing or empty value with a literal or another path', () => {
+  const context = { empty: '', none: [], fallback: 'db', port: 5432 };
+
+  assert.equal(render('{{port | default: 8080}}', {}), '8080');
+  assert.equal(render('{{port | default: 8080}}', context), '5432');
+  assert.equal(render('{{empty | default: "app"}}', context), 'app');
+  assert.equal(render('{{none | default: fallback}}', context), 'db');
+  assert.equal(render('{{name | default: "my app" | kebab_case}}', {}), 'my-app');
+});
+
+test('renderStrict reports placeholders that are missing, empty or use an unknown filter', () => {
+  const result = renderStrict('{{a}} {{b}} {{c | shout}} {{a}} {{d | default: "x"}} {{e}}', { b: '', c: 'hi', e: 0 });
+
+  assert.equal(result.content, '{{a}}  {{c | shout}} {{a}} x 0');
+  assert.deepEqual(result.unresolved, ['{{a}}', '{{b}}', '{{c | shout}}']);
+});
+
+test('renderStrict ignores placeholders in branches that were not taken', () => {
+  const result = renderStrict('{{#if docker}}{{registry}}{{else}}{{host}}{{/if}}', { docker: false });
+
+  assert.deepEqual(result.unresolved, ['{{host}}']);
+});
+
+test('renderStrict reports a default that is not a single value', () => {
+  assert.deepEqual(renderStrict('{{port | default: 80 && 8080}}', {}).unresolved, ['{{port | default: 80 && 8080}}']);
+});
+
+test('getEscaper picks the escaper by file name or extension', () => {
+  assert.equal(getEscaper('Cargo.toml'), escapeToml);
+  assert.equal(getEscaper('docker-compose.yml'), escapeYaml);
+  assert.equal(getEscaper('.vscode/settings.json'), escapeJson);
+  assert.equal(getEscaper('api/Makefile'), escapeMake);
+  assert.equal(getEscaper('Dockerfile'), escapeShell);
+  assert.equal(getEscaper('.env.example'), escapeShell);
+  assert.equal(getEscaper('scripts/setup.sh'), escapeShell);
+  assert.equal(getEscaper('.cursor/rules/react.mdc'), escapeMarkdown);
+  assert.equal(getEscaper('LICENSE'), String);
+});
+
+test('escapeToml escapes quotes, backslashes and control characters', () => {
+  assert.equal(escapeToml('say "hi"\\n\ttab\nnew\u0001'), 'say \\"hi\\"\\\\n\\ttab\\nnew\\u0001');
+});
+
+test('escapeYaml quotes only values YAML would read differently', () => {
+  assert.equal(escapeYaml('my-app'), 'my-app');
+  assert.equal(escapeYaml('postgres:16'), '"postgres:16"');
+  assert.equal(escapeYaml('yes'), '"yes"');
+  assert.equal(escapeYaml('8080'), '"8080"');
+  assert.equal(escapeYaml('- item'), '"- item"');
+});
+
+test('escapeJson escapes for a string between double quotes', () => {
+  assert.equal(escapeJson('a "b"\nc\\'), 'a \\"b\\"\\nc\\\\');
+});
+
+test('escapeShell single-quotes words the shell would split or expand', () => {
+  assert.equal(escapeShell('my-app_1.0'), 'my-app_1.0');
+  assert.equal(escapeShell('my app'), "'my app'");
+  assert.equal(escapeShell("it's $HOME"), "'it'\\''s $HOME'");
+});
+
+test('escapeMake doubles $, escapes # and joins lines', () => {
+  assert.equal(escapeMake('$(PWD) #1\n  next'), '$$(PWD) \\#1 next');
+});
+
+test('escapeMarkdown neutralizes inline markup and line breaks, and unescapeMarkdown reverses it', () => {
+  const value = '*bold* `code` [link](x) <b> a|b\nnext';
+  const escaped = escapeMarkdown(value);
+
+  assert.equal(escaped, '\\*bold\\* \\`code\\` \\[link\\](x) \\<b\\> a\\|b next');
+  assert.equal(unescapeMarkdown(escaped), value.replace('\n', ' '));
+});
+
+test('render applies the escaper to interpolated values only', () => {
+  const template = 'name = "{{name}}" # {{#if quoted}}"quoted"{{/if}}';
+
+  assert.equal(render(template, { name: 'say "hi"', quoted: true }, { escape: escapeToml }), 'name = "say \\"hi\\"" # "quoted"');
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { versionInRange, filterFragments, getTechDisplayName } from '../frontend/js/generator.js';
+
+test('compares versions segment by segment, so 3.9 is below 3.10', () => {
+  assert.equal(versionInRange('3.9', '<3.10'), true);
+  assert.equal(versionInRange('3.10', '>3.9'), true);
+  assert.equal(versionInRange('3.10', '<3.9'), false);
+  assert.equal(versionInRange('3.12', '>=3.10 <3.13'), true);
+  assert.equal(versionInRange('3.13', '>=3.10 <3.13'), false);
+});
+
+test('missing segments count as zero', () => {
+  assert.equal(versionInRange('15', '>=15.0'), true);
+  assert.equal(versionInRange('15.0.0', '15'), true);
+  assert.equal(versionInRange('15.1', '<=15'), false);
+});
+
+test('a bare or `=` version matches exactly, and a list matches any entry', () => {
+  assert.equal(versionInRange('18', '18'), true);
+  assert.equal(versionInRange('18', '=19'), false);
+  assert.equal(versionInRange('19', [18, 19]), true);
+  assert.equal(versionInRange('17', ['18', '>=19']), false);
+});
+
+test('every version matches without a range or a chosen version', () => {
+  assert.equal(versionInRange('3.9', undefined), true);
+  assert.equal(versionInRange('3.9', ''), true);
+  assert.equal(versionInRange(undefined, '>=3.10'), true);
+});
+
+test('filterFragments keeps fragments whose range holds for the chosen version', () => {
+  const fragments = [
+    { id: 'python-general', metadata: { technology: 'python' } },
+    { id: 'python-match', metadata: { technology: 'python', versionRange: '>=3.10' } },
+    { id: 'python-legacy', metadata: { technology: 'python', versionRange: '<3.10' } },
+  ];
+  const ids = (version) => filterFragments(fragments, { python: { version } }, ['python']).map(f => f.id);
+
+  assert.deepEqual(ids('3.9'), ['python-general', 'python-legacy']);
+  assert.deepEqual(ids('3.12'), ['python-general', 'python-match']);
+});
+
+test('getTechDisplayName appends the chosen version', () => {
+  const python = { id: 'python', name: 'Python', versions: [{ id: '3.12' }] };
+
+  assert.equal(getTechDisplayName(python, { python: { version: '3.12' } }), 'Python 3.12');
+  assert.equal(getTechDisplayName(python, {}), 'Python');
+  assert.equal(getTechDisplayName({ id: 'go', name: 'Go' }, { go: { version: '1.22' } }), 'Go');
+});